@@ -0,0 +1,26 @@
+// git (GIT_ASKPASS) and ssh (SSH_ASKPASS) start askpass.sh (or askpass.cmd for ssh on Windows) with
+// the prompt as first argument whenever they need a username, password or passphrase, and expect
+// the answer on stdout. This file is shipped as is and not bundled into main.js. It forwards the
+// prompt to the extension (src/askpass.js).
+let net = require('net')
+
+let response = ''
+let socket = net.connect(process.env.GIT_LOG__GRAPH_ASKPASS_SOCKET || '')
+socket.setEncoding('utf8')
+socket.on('data', (chunk) => response += chunk)
+socket.on('end', () => {
+	/** @type {{ answer?: string }} */
+	let { answer } = JSON.parse(response || '{}')
+	// Input box dismissed: Let git / ssh fail
+	if (answer == null)
+		process.exit(1)
+	process.stdout.write(answer + '\n')
+})
+socket.on('error', (error) => {
+	process.stderr.write('git-log--graph askpass: ' + error.message + '\n')
+	process.exit(1)
+})
+socket.end(JSON.stringify({
+	token: process.env.GIT_LOG__GRAPH_ASKPASS_TOKEN,
+	prompt: process.argv[2] || '',
+}))
@@ -0,0 +1,4 @@
+@echo off
+rem Executed by ssh on Windows instead of prompting in a terminal, see src/askpass.js
+set ELECTRON_RUN_AS_NODE=1
+"%GIT_LOG__GRAPH_ASKPASS_NODE%" "%GIT_LOG__GRAPH_ASKPASS_MAIN%" %*
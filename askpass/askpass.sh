@@ -0,0 +1,3 @@
+#!/bin/sh
+# Executed by git or ssh instead of prompting in a terminal, see src/askpass.js
+ELECTRON_RUN_AS_NODE=1 exec "$GIT_LOG__GRAPH_ASKPASS_NODE" "$GIT_LOG__GRAPH_ASKPASS_MAIN" "$@"
@@ -0,0 +1,78 @@
+let vscode = require('vscode')
+let net = require('net')
+let path = require('path')
+let os = require('os')
+let { randomBytes } = require('crypto')
+let { chmod } = require('fs').promises
+
+/**
+ * git is run without a terminal, so it can't ask for credentials or passphrases itself and would
+ * just fail or hang. Instead, both git and ssh are pointed to askpass/askpass.sh which connects
+ * to the local server started here, and the prompt is shown as an input box. On Windows, ssh
+ * can't run shell scripts (git can, with the sh it comes with), so it gets askpass.cmd instead.
+ * @param askpass_dir {string} Absolute path of the askpass folder
+ * @param log {vscode.OutputChannel}
+ * @return {Promise<{ env: Record<string, string>, dispose: () => any }>} *env* needs to be
+ * passed to all git processes. It's empty if the server could not be started, which is not fatal.
+ */
+module.exports.start_askpass_server = async function(askpass_dir, log) {
+	let token = randomBytes(16).toString('hex')
+	let socket_name = `git-log--graph-askpass-${randomBytes(8).toString('hex')}`
+	let socket_path = process.platform === 'win32'
+		? `\\\\.\\pipe\\${socket_name}`
+		: path.join(os.tmpdir(), socket_name + '.sock')
+
+	// Only one input box can be open at a time, so queue parallel prompts
+	/** @type {Promise<any>} */
+	let prompt_queue = Promise.resolve()
+	function ask(/** @type string */ prompt) {
+		log.appendLine('askpass prompt: ' + prompt)
+		let answer = prompt_queue.then(() => vscode.window.showInputBox({
+			title: 'git-log--graph: Git authentication',
+			prompt,
+			password: /password|passphrase|token/i.test(prompt),
+			ignoreFocusOut: true,
+		}))
+		prompt_queue = answer.maybe()
+		return answer
+	}
+
+	let server = net.createServer({ allowHalfOpen: true }, (socket) => {
+		let request = ''
+		socket.setEncoding('utf8')
+		socket.on('data', (chunk) => request += chunk)
+		socket.on('end', async () => {
+			/** @type {{ token?: string, prompt?: string }} */
+			let { token: request_token, prompt } = (() => JSON.parse(request)).maybe() || {}
+			if (request_token !== token)
+				log.appendLine('askpass: rejecting request with invalid token')
+			let answer = request_token === token ? await ask(prompt || '').maybe() : null
+			socket.end(JSON.stringify({ answer }))
+		})
+	})
+	let askpass_sh = path.join(askpass_dir, 'askpass.sh')
+	let ssh_askpass = process.platform === 'win32' ? path.join(askpass_dir, 'askpass.cmd') : askpass_sh
+	try {
+		await chmod(askpass_sh, 0o755) // In case it's lost during packaging
+		await new Promise((resolve, reject) => {
+			server.once('error', reject)
+			server.listen(socket_path, () => resolve(null))
+		})
+	} catch (e) {
+		log.appendLine('askpass: could not be started, git will not be able to ask for credentials: ' + (e.message || e))
+		return { env: {}, dispose() {} }
+	}
+	return {
+		env: {
+			GIT_ASKPASS: askpass_sh,
+			SSH_ASKPASS: ssh_askpass,
+			// Otherwise, ssh only uses SSH_ASKPASS if there is a display
+			SSH_ASKPASS_REQUIRE: 'force',
+			GIT_LOG__GRAPH_ASKPASS_NODE: process.execPath,
+			GIT_LOG__GRAPH_ASKPASS_MAIN: path.join(askpass_dir, 'askpass-main.js'),
+			GIT_LOG__GRAPH_ASKPASS_SOCKET: socket_path,
+			GIT_LOG__GRAPH_ASKPASS_TOKEN: token,
+		},
+		dispose: () => server.close(),
+	}
+}
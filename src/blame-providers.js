@@ -0,0 +1,161 @@
+let vscode = require('vscode')
+let RelativeTime = require('@yaireo/relative-time')
+let relative_time = new RelativeTime()
+let { uncommitted_hash } = require('./file-blame')
+
+/**
+ * @typedef {import('./file-blame').BlameCommit} BlameCommit
+ *
+ * @typedef {{
+ *	message: string
+ *	files: { path: string, insertions: number, deletions: number }[]
+ * }} CommitInfo
+ * *insertions* and *deletions* are `NaN` for binary files, like in `git show --numstat`.
+ */
+
+// Listing more than this in a hover isn't helpful
+let max_hover_files = 10
+let code_lens_symbol_kinds = [vscode.SymbolKind.Function, vscode.SymbolKind.Method, vscode.SymbolKind.Class, vscode.SymbolKind.Constructor]
+
+/**
+ * Flattens nested document symbols, so that e.g. methods get their own code lens, not only their class
+ * @param symbols {(vscode.DocumentSymbol | vscode.SymbolInformation)[]}
+ * @return {vscode.Range[]}
+ */
+function get_symbol_ranges(symbols) {
+	return symbols.flatMap((symbol) => {
+		let is_document_symbol = 'children' in symbol
+		let range = is_document_symbol ? symbol.range : symbol.location.range
+		let children = is_document_symbol ? get_symbol_ranges(symbol.children) : []
+		return code_lens_symbol_kinds.includes(symbol.kind) ? [range, ...children] : children
+	})
+}
+
+/**
+ * A hover with the last change of the hovered line and optional code lenses above functions and
+ * classes with their authors and age. Both are based on the blame of file-blame.js (only of the
+ * hovered line for the hover) and link to the commit in the graph view.
+ * @param git {ReturnType<typeof import('./git').get_git>}
+ * @param file_blame {ReturnType<typeof import('./file-blame').get_file_blame>}
+ * @param options {{
+ *	ext_id: string
+ *	show_commit_cmd: string
+ * }} *show_commit_cmd* is invoked with `[repo_index, hash_long]`
+ * @return {vscode.Disposable}
+ */
+module.exports.register_blame_providers = function(git, file_blame, { ext_id, show_commit_cmd }) {
+	let config = () => vscode.workspace.getConfiguration(ext_id)
+	/**
+	 * By repo index and full hash, as commits don't change
+	 * @type {Map<string, Promise<CommitInfo | null>>}
+	 */
+	let commit_info_cache = new Map()
+	function get_commit_info(/** @type number */ repo_index, /** @type string */ hash_long) {
+		let key = repo_index + ' ' + hash_long
+		let info = commit_info_cache.get(key)
+		if (! info) {
+			info = git.run(['show', '--numstat', '--format=%B%x00', hash_long], repo_index).then((output) => {
+				let [message = '', numstat = ''] = output.split('\0')
+				return {
+					message: message.trim(),
+					files: numstat.split('\n').filter(Boolean).map((line) => {
+						let [insertions = '', deletions = '', path = ''] = line.split('\t')
+						return { path, insertions: Number(insertions), deletions: Number(deletions) }
+					}),
+				}
+			}).catch(() => null)
+			commit_info_cache.set(key, info)
+		}
+		return info
+	}
+
+	/** Whole-file blame of *document* unless there are unsaved changes that would make its lines wrong */
+	async function get_document_blame(/** @type vscode.TextDocument */ document) {
+		if (document.uri.scheme !== 'file' || document.isDirty)
+			return null
+		return file_blame.get_blame(document.uri)
+	}
+	/** Same for one line */
+	async function get_document_line_blame(/** @type vscode.TextDocument */ document, /** @type number */ line) {
+		if (document.uri.scheme !== 'file' || document.isDirty)
+			return null
+		return file_blame.get_line_blame(document.uri, line)
+	}
+
+	let command_uri = (/** @type any[] */ args) =>
+		`command:${show_commit_cmd}?${encodeURIComponent(JSON.stringify(args))}`
+
+	let hover_provider = vscode.languages.registerHoverProvider({ scheme: 'file' }, {
+		async provideHover(document, position) {
+			if (! config().get('blame-hover'))
+				return null
+			let blamed = await get_document_line_blame(document, position.line)
+			let commit = blamed?.commit
+			if (! blamed || ! commit || commit.hash_long === uncommitted_hash)
+				return null
+			let info = await get_commit_info(blamed.repo_index, commit.hash_long)
+			if (! info)
+				return null
+			let markdown = new vscode.MarkdownString()
+			markdown.isTrusted = true
+			markdown.appendMarkdown('**')
+			markdown.appendText(commit.author)
+			markdown.appendMarkdown('**, ')
+			markdown.appendText(`${new Date(commit.time).toLocaleString()} (${relative_time.from(commit.time)}), ${commit.hash_long.slice(0, 7)}`)
+			markdown.appendMarkdown('\n\n')
+			// Line breaks of the message would otherwise be joined into one paragraph
+			for (let line of info.message.split('\n')) {
+				markdown.appendText(line)
+				markdown.appendMarkdown('  \n')
+			}
+			let insertions = info.files.reduce((sum, file) => sum + (file.insertions || 0), 0)
+			let deletions = info.files.reduce((sum, file) => sum + (file.deletions || 0), 0)
+			markdown.appendMarkdown(`\n${info.files.length} changed file${info.files.length === 1 ? '' : 's'}, +${insertions} -${deletions}\n\n`)
+			for (let file of info.files.slice(0, max_hover_files)) {
+				markdown.appendMarkdown('- ')
+				markdown.appendText(file.path)
+				markdown.appendMarkdown(Number.isNaN(file.insertions) ? ' (binary)\n' : ` +${file.insertions} -${file.deletions}\n`)
+			}
+			if (info.files.length > max_hover_files)
+				markdown.appendMarkdown(`- and ${info.files.length - max_hover_files} more\n`)
+			markdown.appendMarkdown(`\n[Show in graph](${command_uri([blamed.repo_index, commit.hash_long])})`)
+			return new vscode.Hover(markdown)
+		},
+	})
+
+	let code_lenses_changed = new vscode.EventEmitter()
+	let code_lens_provider = vscode.languages.registerCodeLensProvider({ scheme: 'file' }, {
+		onDidChangeCodeLenses: code_lenses_changed.event,
+		async provideCodeLenses(document) {
+			if (! config().get('blame-code-lens'))
+				return []
+			let blamed = await get_document_blame(document)
+			if (! blamed)
+				return []
+			/** @type {(vscode.DocumentSymbol | vscode.SymbolInformation)[] | undefined} */
+			let symbols = await vscode.commands.executeCommand('vscode.executeDocumentSymbolProvider', document.uri)
+			return get_symbol_ranges(symbols || []).flatMap((range) => {
+				let commits = blamed.lines.slice(range.start.line, range.end.line + 1)
+					.filter((commit) => commit && commit.hash_long !== uncommitted_hash)
+				/** @type {BlameCommit | undefined} */
+				let newest = commits.reduce((/** @type {BlameCommit | undefined} */ newest_yet, commit) =>
+					newest_yet && newest_yet.time >= commit.time ? newest_yet : commit, undefined)
+				if (! newest)
+					return []
+				let author_count = new Set(commits.map((commit) => commit.author)).size
+				return [new vscode.CodeLens(new vscode.Range(range.start.line, 0, range.start.line, 0), {
+					title: `${author_count} author${author_count === 1 ? '' : 's'}, last changed ${relative_time.from(newest.time)}`,
+					tooltip: `${newest.author}: ${newest.subject} (${newest.hash_long.slice(0, 7)}). Click to show in graph view`,
+					command: show_commit_cmd,
+					arguments: [blamed.repo_index, newest.hash_long],
+				})]
+			})
+		},
+	})
+	let config_listener = vscode.workspace.onDidChangeConfiguration((event) => {
+		if (event.affectsConfiguration(`${ext_id}.blame-code-lens`))
+			code_lenses_changed.fire(undefined)
+	})
+
+	return vscode.Disposable.from(hover_provider, code_lens_provider, code_lenses_changed, config_listener)
+}
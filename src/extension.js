@@ -1,5 +1,6 @@
 let vscode = require('vscode')
 let path = require('path')
+let { realpath } = require('fs').promises
 let postcss = require('postcss')
 let postcss_sanitize = require('postcss-sanitize')
 let RelativeTime = require('@yaireo/relative-time')
@@ -7,6 +8,11 @@ let relative_time = new RelativeTime()
 require('./globals')
 
 let { get_git } = require('./git')
+let { start_askpass_server } = require('./askpass')
+let { get_log_cache } = require('./log-cache')
+let { get_file_blame, uncommitted_hash } = require('./file-blame')
+let { register_blame_providers } = require('./blame-providers')
+let { run_interactive_rebase } = require('./interactive-rebase')
 
 /** @typedef {{ type: 'response' | 'request' | 'push', command?: string, data?: any, error?: any, id: number | string }} BridgeMessage */
 
@@ -14,6 +20,10 @@ let EXT_NAME = 'git log --graph'
 let EXT_ID = 'git-log--graph'
 let START_CMD = 'git-log--graph.start'
 let BLAME_CMD = 'git-log--graph.blame-line'
+let LINE_HISTORY_CMD = 'git-log--graph.line-history'
+let TOGGLE_FILE_BLAME_CMD = 'git-log--graph.toggle-file-blame'
+let BLAME_SHOW_COMMIT_CMD = 'git-log--graph.blame-show-commit'
+let BLAME_PARENT_CMD = 'git-log--graph.blame-parent'
 
 /** @type {vscode.WebviewPanel | vscode.WebviewView | null} */
 let webview_container = null
@@ -44,15 +54,25 @@ module.exports.activate = function(/** @type vscode.ExtensionContext */ context)
 		})
 	}
 
+	let askpass = start_askpass_server(path.join(context.extensionPath, 'askpass'), log)
+	context.subscriptions.push({ dispose: () => askpass.then((a) => a.dispose()) })
+
 	let git = get_git(EXT_ID, log, {
-		on_repo_external_state_change() {
-			return push_message_id('repo-external-state-change')
+		on_repo_external_state_change(changes) {
+			return post_message({
+				type: 'push',
+				id: 'repo-external-state-change',
+				data: changes,
+			})
 		},
 		on_repo_names_change() {
 			return state('repo-names').set(git.get_repo_names())
 		},
+		env: askpass.then((a) => a.env),
 	})
 
+	let log_cache = get_log_cache(context.storageUri, log)
+
 	// something to be synchronized with the web view - initialization, storage,
 	// update and retrieval is supported in both directions
 	let state = (() => {
@@ -151,26 +171,68 @@ module.exports.activate = function(/** @type vscode.ExtensionContext */ context)
 			case 'request':
 				switch (message.command) {
 				case 'git': return h(() =>
-					git.run(d))
+					Array.isArray(d) ? git.run(d) : git.run(d.args, undefined, { allowed_exit_codes: d.allowed_exit_codes }))
+				case 'git-stream': return h(() =>
+					git.run(d.args, undefined, {
+						stream_id: d.stream_id,
+						on_output: (output) => post_message({
+							type: 'push',
+							id: 'git-output',
+							data: { stream_id: d.stream_id, output },
+						}),
+					}))
+				case 'git-with-input': return h(() =>
+					git.run(d.args, undefined, { stdin: d.stdin }))
+				case 'interactive-rebase': return h(() =>
+					run_interactive_rebase(git, d))
+				case 'get-repo-operation': return h(() =>
+					git.get_operation())
+				case 'get-patch-equivalents': return h(() =>
+					git.get_patch_equivalents(d))
+				case 'git-cancel': return h(() =>
+					git.cancel(d))
 				case 'show-error-message': return h(() =>
 					log_error(d))
 				case 'show-information-message': return h(() =>
 					vscode.window.showInformationMessage(d))
 				case 'get-config': return h(() =>
 					vscode.workspace.getConfiguration(EXT_ID))
+				case 'get-log-cache': return h(() =>
+					log_cache.get(git.get_repo_root()))
+				case 'set-log-cache': return h(() =>
+					log_cache.set(git.get_repo_root(), d))
 				case 'get-state': return h(() =>
 					state(d).get())
 				case 'set-state': return h(() =>
 					state(d.key).set(d.value, { broadcast: false }))
 				case 'open-diff': return h(() => {
-					let uri_1 = vscode.Uri.parse(`${EXT_ID}-git-show:${d.hashes[0]}:${d.filename}`)
+					// The path on the left side differs for renames and copies
+					let old_filename = d.old_filename || d.filename
+					let uri_1 = vscode.Uri.parse(`${EXT_ID}-git-show:${d.hashes[0]}:${old_filename}`)
 					let uri_2 = vscode.Uri.parse(`${EXT_ID}-git-show:${d.hashes[1]}:${d.filename}`)
-					return vscode.commands.executeCommand('vscode.diff', uri_1, uri_2, `${d.filename} ${d.hashes[0]} vs. ${d.hashes[1]}`)
+					let title = old_filename === d.filename ? d.filename : `${old_filename} → ${d.filename}`
+					return vscode.commands.executeCommand('vscode.diff', uri_1, uri_2, `${title} ${d.hashes[0]} vs. ${d.hashes[1]}`)
 				})
 				case 'view-rev': return h(() => {
 					let uri = vscode.Uri.parse(`${EXT_ID}-git-show:${d.hash}:${d.filename}`)
 					return vscode.commands.executeCommand('vscode.open', uri)
 				})
+				// Staged: HEAD vs. index, otherwise index vs. working tree
+				case 'open-working-tree-diff': return h(() => {
+					let index_uri = vscode.Uri.parse(`${EXT_ID}-git-show::${d.filename}`)
+					if (d.staged) {
+						let head_uri = vscode.Uri.parse(`${EXT_ID}-git-show:HEAD:${d.filename}`)
+						return vscode.commands.executeCommand('vscode.diff', head_uri, index_uri, `${d.filename} (staged)`)
+					}
+					let file_uri = vscode.Uri.file(path.join(git.get_repo_root(), d.filename))
+					return vscode.commands.executeCommand('vscode.diff', index_uri, file_uri, `${d.filename} (working tree)`)
+				})
+				case 'open-merge-editor': return h(async () => {
+					let uri = vscode.Uri.file(path.join(git.get_repo_root(), d.filename))
+					// Only available in newer VSCode versions, otherwise the file with conflict markers will do
+					await vscode.commands.executeCommand('git.openMergeEditor', uri).then(null, () =>
+						vscode.commands.executeCommand('vscode.open', uri))
+				})
 				case 'open-file': return h(() => {
 					let workspace = vscode.workspace.workspaceFolders[git.get_selected_repo_index()].uri.fsPath
 					let uri = vscode.Uri.file(path.join(workspace, d.filename))
@@ -203,7 +265,9 @@ module.exports.activate = function(/** @type vscode.ExtensionContext */ context)
 			'connect-src ' +
 				(is_production ? '' : '*') + '; ' +
 			`img-src ${view.cspSource} ` +
-				(is_production ? '' : dev_server_url) + '; '
+				(is_production ? '' : dev_server_url) + '; ' +
+			// log-worker.js is loaded via a blob, see log-worker-bridge.js
+			'worker-src blob:; '
 		function get_web_uri(/** @type {string[]} */...path_segments) {
 			if (is_production)
 				return view.asWebviewUri(vscode.Uri.joinPath(context.extensionUri, 'web-dist', ...path_segments))
@@ -243,7 +307,8 @@ module.exports.activate = function(/** @type vscode.ExtensionContext */ context)
 	// Needed for git diff views
 	context.subscriptions.push(vscode.workspace.registerTextDocumentContentProvider(`${EXT_ID}-git-show`, {
 		provideTextDocumentContent(uri) {
-			return git.run(`show "${uri.path}"`).maybe()
+			// The query is the repo index, if it's not necessarily the selected repo (file-blame.js)
+			return git.run(['show', uri.path], uri.query ? Number(uri.query) : undefined).maybe()
 		},
 	}))
 
@@ -361,7 +426,7 @@ module.exports.activate = function(/** @type vscode.ExtensionContext */ context)
 			current_line_repo_index = await git.get_repo_index_for_uri(uri)
 			if (current_line_repo_index < 0)
 				return hide_blame()
-			let blamed = git.run(`blame -L${current_line + 1},${current_line + 1} --porcelain -- ${uri.fsPath}`, current_line_repo_index).then((b) => b.split('\n')).maybe()
+			let blamed = git.run(['blame', `-L${current_line + 1},${current_line + 1}`, '--porcelain', '--', uri.fsPath], current_line_repo_index).then((b) => b.split('\n')).maybe()
 			if (! blamed)
 				return hide_blame()
 			// apparently impossible to get the short form right away in easy machine readable format?
@@ -371,16 +436,75 @@ module.exports.activate = function(/** @type vscode.ExtensionContext */ context)
 			status_bar_item_blame.text = `$(git-commit) ${author}, ${time}`
 		}, 150)
 	})
+	async function show_commit_in_graph(/** @type number */ repo_index, /** @type string */ long_hash) {
+		state('selected-repo-index').set(repo_index)
+		let focus_commit_hash = ((await git.run(['rev-parse', '--short', long_hash]))).trim() // todo error here goes unnoticed
+		state('repo:selected-commits-hashes').set([focus_commit_hash])
+		vscode.commands.executeCommand(START_CMD)
+		return push_message_id('scroll-to-selected-commit')
+	}
 	context.subscriptions.push(vscode.commands.registerCommand(BLAME_CMD, async () => {
 		log.appendLine('blame cmd')
 		if (! current_line_long_hash)
 			return
-		state('selected-repo-index').set(current_line_repo_index)
-		let focus_commit_hash = ((await git.run(`rev-parse --short ${current_line_long_hash}`))).trim() // todo error here goes unnoticed
+		let long_hash = current_line_long_hash
 		current_line_long_hash = ''
-		state('repo:selected-commits-hashes').set([focus_commit_hash])
-		vscode.commands.executeCommand(START_CMD)
-		return push_message_id('scroll-to-selected-commit')
+		return show_commit_in_graph(current_line_repo_index, long_hash)
+	}))
+
+	let file_blame = get_file_blame(git, log, {
+		git_show_scheme: `${EXT_ID}-git-show`,
+		show_commit_cmd: BLAME_SHOW_COMMIT_CMD,
+		blame_parent_cmd: BLAME_PARENT_CMD,
+	})
+	context.subscriptions.push(file_blame)
+	context.subscriptions.push(register_blame_providers(git, file_blame, {
+		ext_id: EXT_ID,
+		show_commit_cmd: BLAME_SHOW_COMMIT_CMD,
+	}))
+	context.subscriptions.push(vscode.commands.registerCommand(TOGGLE_FILE_BLAME_CMD, () => {
+		log.appendLine('toggle file blame cmd')
+		return file_blame.toggle()
+	}))
+	// Only invoked from the blame hover links and code lenses
+	context.subscriptions.push(vscode.commands.registerCommand(BLAME_SHOW_COMMIT_CMD, (/** @type number */ repo_index, /** @type string */ long_hash) => {
+		log.appendLine('blame show commit cmd')
+		return show_commit_in_graph(repo_index, long_hash)
+	}))
+	// Invoked from the blame hover links with the args, otherwise for the line at the cursor
+	context.subscriptions.push(vscode.commands.registerCommand(BLAME_PARENT_CMD, async (/** @type {number=} */ repo_index, /** @type {string=} */ long_hash, /** @type {string=} */ filename) => {
+		log.appendLine('blame parent cmd')
+		if (repo_index == null || ! long_hash || ! filename) {
+			let at_cursor = vscode.window.activeTextEditor && await file_blame.get_commit_at_cursor(vscode.window.activeTextEditor)
+			if (! at_cursor)
+				return vscode.window.showInformationMessage('git-log--graph: Enable the file blame first.')
+			let previous = at_cursor.commit.previous
+			if (! previous || at_cursor.commit.hash_long === uncommitted_hash)
+				return vscode.window.showInformationMessage('git-log--graph: This line has no parent revision to blame.')
+			repo_index = at_cursor.repo_index
+			long_hash = previous.hash_long
+			filename = previous.filename
+		}
+		return file_blame.open_revision(repo_index, long_hash, filename)
+	}))
+
+	context.subscriptions.push(vscode.commands.registerCommand(LINE_HISTORY_CMD, async () => {
+		log.appendLine('line history cmd')
+		let text_editor = vscode.window.activeTextEditor
+		if (text_editor?.document.uri.scheme !== 'file')
+			return vscode.window.showInformationMessage('git-log--graph: Line history is only available for files on disk.')
+		let repo_index = await git.get_repo_index_for_uri(text_editor.document.uri)
+		if (repo_index < 0)
+			return vscode.window.showInformationMessage('git-log--graph: This file is not part of any repository.')
+		let { start, end } = text_editor.selection
+		// Selecting entire lines usually puts the cursor at the start of the next one
+		let end_line = end.line > start.line && end.character === 0 ? end.line - 1 : end.line
+		let repo_root = await realpath(git.get_repo_root(repo_index))
+		let file = path.relative(repo_root, await realpath(text_editor.document.uri.fsPath)).replaceAll(path.sep, '/')
+		state('selected-repo-index').set(repo_index)
+		// As state rather than a push message because the web view may not be loaded yet
+		state('line-history-request').set({ file, start: start.line + 1, end: end_line + 1 })
+		return vscode.commands.executeCommand(START_CMD)
 	}))
 
 	context.subscriptions.push(vscode.commands.registerCommand('git-log--graph.refresh', () => {
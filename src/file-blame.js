@@ -0,0 +1,269 @@
+let vscode = require('vscode')
+let RelativeTime = require('@yaireo/relative-time')
+let relative_time = new RelativeTime()
+
+/**
+ * @typedef {{
+ *	hash_long: string
+ *	author: string
+ *	time: number
+ *	subject: string
+ *	filename: string
+ *	previous: { hash_long: string, filename: string } | null
+ * }} BlameCommit
+ * *filename* is the path the file had in that commit, relative to the repository root.
+ * *previous* is the parent revision and path the lines came from, as reported by git. `null` for
+ * boundary and root commits, as there is nothing to go back to.
+ *
+ * @typedef {{
+ *	repo_index: number
+ *	lines: BlameCommit[]
+ * }} FileBlame
+ * One commit per line of the blamed revision, 0-based like the editor's lines.
+ */
+
+let uncommitted_hash = '0'.repeat(40)
+module.exports.uncommitted_hash = uncommitted_hash
+// The gutter column, newer commits get a stronger background
+let annotation_width = 36
+let age_levels = 6
+
+/**
+ * @param porcelain {string} Output of `git blame --porcelain`
+ * @return {BlameCommit[]}
+ */
+function parse_blame_porcelain(porcelain) {
+	/** @type {Record<string, BlameCommit>} */
+	let commits = {}
+	/** @type {BlameCommit[]} */
+	let lines = []
+	/** @type {BlameCommit | null} */
+	let commit = null
+	for (let row of porcelain.split('\n')) {
+		let header = row.match(/^([0-9a-f]{40}) \d+ (\d+)/)
+		if (header) {
+			let hash_long = header[1] || ''
+			commit = commits[hash_long] ||= { hash_long, author: '', time: 0, subject: '', filename: '', previous: null }
+			lines[Number(header[2]) - 1] = commit
+		} else if (! commit || row.startsWith('\t'))
+			continue
+		else if (row.startsWith('author '))
+			commit.author = row.slice(7)
+		else if (row.startsWith('author-time '))
+			commit.time = Number(row.slice(12)) * 1000
+		else if (row.startsWith('summary '))
+			commit.subject = row.slice(8)
+		else if (row.startsWith('filename '))
+			commit.filename = row.slice(9)
+		else if (row.startsWith('previous ')) {
+			// The path may contain spaces, the hash can't
+			let [, previous_hash = '', previous_filename = ''] = row.match(/^previous ([0-9a-f]{40}) (.+)$/) || []
+			if (previous_hash && previous_filename)
+				commit.previous = { hash_long: previous_hash, filename: previous_filename }
+		}
+	}
+	return lines
+}
+
+/**
+ * Whole-file blame annotations in front of the lines of all visible editors, for files on disk
+ * and for revisions opened via the `git-show` scheme (which is how "blame at parent revision" works).
+ * Each group of lines from the same commit is annotated once, colored by age, and its hover links back to the graph.
+ * @param git {ReturnType<typeof import('./git').get_git>}
+ * @param log {vscode.OutputChannel}
+ * @param options {{
+ *	git_show_scheme: string
+ *	show_commit_cmd: string
+ *	blame_parent_cmd: string
+ * }} *show_commit_cmd* and *blame_parent_cmd* are what the hover links invoke,
+ * with `[repo_index, hash_long]` and `[repo_index, previous_hash_long, previous_filename]` respectively.
+ */
+module.exports.get_file_blame = function(git, log, { git_show_scheme, show_commit_cmd, blame_parent_cmd }) {
+	let enabled = false
+	let decoration_types = [...Array(age_levels).keys()].map((age_level) =>
+		vscode.window.createTextEditorDecorationType({
+			isWholeLine: true,
+			before: {
+				width: annotation_width + 'ch',
+				margin: '0 1.5em 0 0',
+				color: new vscode.ThemeColor('editorCodeLens.foreground'),
+				backgroundColor: `rgba(255, 140, 0, ${(0.05 + 0.3 * (age_level / (age_levels - 1))).toFixed(2)})`,
+			},
+		}))
+	/**
+	 * By document uri, until the document changes
+	 * @type {Map<string, Promise<FileBlame | null>>}
+	 */
+	let blame_by_uri = new Map()
+
+	/** @return {Promise<FileBlame | null>} */
+	async function blame(/** @type vscode.Uri */ uri) {
+		if (uri.scheme === git_show_scheme) {
+			// See `open_revision`
+			let [, rev, filename] = uri.path.match(/^([^:]+):(.+)$/) || []
+			let repo_index = Number(uri.query)
+			if (! rev || ! filename || ! uri.query || Number.isNaN(repo_index))
+				return null
+			let porcelain = await git.run(['blame', '--porcelain', rev, '--', filename], repo_index)
+			return { repo_index, lines: parse_blame_porcelain(porcelain) }
+		}
+		let repo_index = await git.get_repo_index_for_uri(uri)
+		if (repo_index < 0)
+			return null
+		let porcelain = await git.run(['blame', '--porcelain', '--', uri.fsPath], repo_index)
+		return { repo_index, lines: parse_blame_porcelain(porcelain) }
+	}
+	function get_blame(/** @type vscode.Uri */ uri) {
+		let key = uri.toString()
+		let blamed = blame_by_uri.get(key)
+		if (! blamed) {
+			blamed = blame(uri).catch((e) => {
+				log.appendLine('file blame: ' + (e.message || e))
+				return null
+			})
+			blame_by_uri.set(key, blamed)
+		}
+		return blamed
+	}
+
+	function hover_message(/** @type BlameCommit */ commit, /** @type number */ repo_index) {
+		let message = new vscode.MarkdownString()
+		message.isTrusted = true
+		if (commit.hash_long === uncommitted_hash)
+			return message.appendMarkdown('Not committed yet')
+		let command_uri = (/** @type string */ command, /** @type any[] */ args) =>
+			`command:${command}?${encodeURIComponent(JSON.stringify(args))}`
+		message.appendText(commit.subject)
+		message.appendMarkdown('\n\n')
+		message.appendText(`${commit.author}, ${new Date(commit.time).toLocaleString()} (${relative_time.from(commit.time)}), ${commit.hash_long.slice(0, 7)}`)
+		message.appendMarkdown(`\n\n[Show in graph](${command_uri(show_commit_cmd, [repo_index, commit.hash_long])})`)
+		if (commit.previous)
+			message.appendMarkdown(` | [Blame at parent revision](${command_uri(blame_parent_cmd, [repo_index, commit.previous.hash_long, commit.previous.filename])})`)
+		return message
+	}
+
+	async function decorate(/** @type vscode.TextEditor */ editor) {
+		let uri = editor.document.uri
+		let is_blameable = uri.scheme === 'file' || uri.scheme === git_show_scheme
+		let file_blame = enabled && is_blameable && ! editor.document.isDirty
+			? await get_blame(uri)
+			: null
+		/** @type {vscode.DecorationOptions[][]} */
+		let options_by_age_level = decoration_types.map(() => [])
+		if (file_blame && enabled) {
+			let times = file_blame.lines.filter((commit) => commit.hash_long !== uncommitted_hash).map((commit) => commit.time)
+			let oldest = Math.min(...times)
+			let newest = Math.max(...times)
+			for (let [line_i, commit] of file_blame.lines.entries()) {
+				if (! commit || line_i >= editor.document.lineCount)
+					continue
+				let is_group_start = file_blame.lines[line_i - 1] !== commit
+				let age_level = commit.hash_long === uncommitted_hash || newest === oldest
+					? age_levels - 1
+					: Math.round((commit.time - oldest) / (newest - oldest) * (age_levels - 1))
+				let annotation = commit.hash_long === uncommitted_hash
+					? 'Not committed yet'
+					: `${commit.hash_long.slice(0, 7)} ${commit.author}, ${relative_time.from(commit.time)}`
+				if (annotation.length > annotation_width)
+					annotation = annotation.slice(0, annotation_width - 1) + '…'
+				options_by_age_level[age_level]?.push({
+					range: new vscode.Range(line_i, 0, line_i, 0),
+					hoverMessage: is_group_start ? hover_message(commit, file_blame.repo_index) : undefined,
+					renderOptions: { before: { contentText: is_group_start ? annotation : ' ' } },
+				})
+			}
+		}
+		for (let [age_level, decoration_type] of decoration_types.entries())
+			editor.setDecorations(decoration_type, options_by_age_level[age_level] || [])
+	}
+	function decorate_visible_editors() {
+		return Promise.all(vscode.window.visibleTextEditors.map(decorate))
+	}
+
+	let disposables = [
+		...decoration_types,
+		vscode.window.onDidChangeVisibleTextEditors(() =>
+			enabled && decorate_visible_editors()),
+		vscode.workspace.onDidChangeTextDocument(({ document }) => {
+			blame_by_uri.delete(document.uri.toString())
+			// Lines have moved, so the annotations are hidden until saved
+			if (enabled && document.isDirty)
+				for (let editor of vscode.window.visibleTextEditors.filter((e) => e.document === document))
+					decorate(editor)
+		}),
+		vscode.workspace.onDidSaveTextDocument((document) => {
+			blame_by_uri.delete(document.uri.toString())
+			if (enabled)
+				for (let editor of vscode.window.visibleTextEditors.filter((e) => e.document === document))
+					decorate(editor)
+		}),
+		vscode.workspace.onDidCloseTextDocument((document) =>
+			blame_by_uri.delete(document.uri.toString())),
+	]
+
+	/**
+	 * Opens the file as it was in *hash_long*, so it can be blamed further back. Pass a commit's
+	 * `previous` to step back from it: This follows renames and the parent of merges the lines came from.
+	 * @param repo_index {number}
+	 * @param hash_long {string}
+	 * @param filename {string} Relative to the repository root, as in *hash_long*
+	 */
+	async function open_revision(repo_index, hash_long, filename) {
+		// The repo has to be part of the uri because the content provider may be asked
+		// again at any time, and the selected repo might have changed by then
+		let uri = vscode.Uri.from({ scheme: git_show_scheme, path: `${hash_long}:${filename}`, query: String(repo_index) })
+		if (! enabled) {
+			enabled = true
+			await decorate_visible_editors()
+		}
+		return vscode.commands.executeCommand('vscode.open', uri)
+	}
+
+	return {
+		toggle() {
+			enabled = ! enabled
+			if (! enabled)
+				blame_by_uri.clear()
+			return decorate_visible_editors()
+		},
+		open_revision,
+		/** Cached, also used by blame-providers.js regardless of whether the annotations are enabled */
+		get_blame,
+		/**
+		 * The commit of one line of a file on disk. Reuses the whole-file blame if there is one already,
+		 * otherwise only blames that line, as this is needed much more often than the file changes.
+		 * @return {Promise<{ repo_index: number, commit: BlameCommit } | null>}
+		 */
+		async get_line_blame(/** @type vscode.Uri */ uri, /** @type number */ line) {
+			let file_blame = await blame_by_uri.get(uri.toString())
+			if (file_blame) {
+				let commit = file_blame.lines[line]
+				return commit ? { repo_index: file_blame.repo_index, commit } : null
+			}
+			let repo_index = await git.get_repo_index_for_uri(uri)
+			if (repo_index < 0)
+				return null
+			let porcelain = await git.run(['blame', '--porcelain', `-L${line + 1},${line + 1}`, '--', uri.fsPath], repo_index).catch((e) => {
+				log.appendLine('line blame: ' + (e.message || e))
+				return ''
+			})
+			let commit = parse_blame_porcelain(porcelain)[line]
+			return commit ? { repo_index, commit } : null
+		},
+		/**
+		 * The commit of the line at the cursor of *editor*, if blamed already
+		 * @return {Promise<{ repo_index: number, commit: BlameCommit } | null>}
+		 */
+		async get_commit_at_cursor(/** @type vscode.TextEditor */ editor) {
+			let file_blame = await blame_by_uri.get(editor.document.uri.toString())
+			let commit = file_blame?.lines[editor.selection.active.line]
+			if (! file_blame || ! commit)
+				return null
+			return { repo_index: file_blame.repo_index, commit }
+		},
+		dispose() {
+			for (let disposable of disposables)
+				disposable.dispose()
+		},
+	}
+}
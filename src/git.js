@@ -1,61 +1,214 @@
 let vscode = require('vscode')
-let util = require('util')
-let { basename, relative, isAbsolute } = require('path')
-let { realpath } = require('fs').promises
-let exec = util.promisify(require('child_process').exec)
+let { basename, relative, isAbsolute, resolve, dirname, sep } = require('path')
+let { realpath, stat } = require('fs').promises
+let { execFile: exec_file } = require('child_process')
+
+/**
+ * @typedef {{
+ *	type: 'head' | 'index' | 'ref' | 'fetch'
+ *	change: 'created' | 'changed' | 'deleted'
+ *	ref?: string
+ * }} RepoChange
+ * A change of the repository's state (`.git` folder) by an external process. *ref* is the full
+ * name such as `refs/heads/main`, or missing for `packed-refs` which can contain any ref.
+ *
+ * @typedef {'merge' | 'rebase' | 'cherry-pick' | 'revert' | 'bisect'} RepoOperation
+ */
+
+/**
+ * In the order they're checked, because e.g. a rebase may stop at a cherry-pick
+ * @type {[string, RepoOperation][]}
+ */
+let operation_files = [
+	['rebase-merge', 'rebase'],
+	['rebase-apply', 'rebase'],
+	['MERGE_HEAD', 'merge'],
+	['CHERRY_PICK_HEAD', 'cherry-pick'],
+	['REVERT_HEAD', 'revert'],
+	['BISECT_LOG', 'bisect'],
+]
 
 /**
  * @param EXT_ID {string}
  * @param log {vscode.OutputChannel}
- * @param args {{on_repo_external_state_change:()=>any, on_repo_names_change:()=>any}}
+ * @param args {{on_repo_external_state_change:(changes:RepoChange[])=>any, on_repo_names_change:()=>any, env:Promise<Record<string,string>>}}
+ * *env* is added to the environment of all git processes
  */
-module.exports.get_git = function(EXT_ID, log, { on_repo_external_state_change, on_repo_names_change }) {
+module.exports.get_git = function(EXT_ID, log, { on_repo_external_state_change, on_repo_names_change, env }) {
 	/** @type {import('./vscode.git').API} */
 	let api = vscode.extensions.getExtension('vscode.git')?.exports.getAPI(1) || (() => { throw 'VSCode official Git Extension not found, did you disable it?' })()
-	let last_git_execution = 0
+	/**
+	 * Time spans of our own git executions. `end` is `null` while still running.
+	 * @type {{ start: number, end: number | null }[]}
+	 */
+	let executions = []
+	// File timestamps are set from a coarse kernel clock that can lag behind `Date.now()` by a few ms
+	let mtime_clock_lag = 20
+	/**
+	 * Changes made by our own git commands always result in a refresh anyway, so they must not be
+	 * reported as external. Instead of guessing by time, attribute each change to whichever process
+	 * was running when the file was written.
+	 */
+	function is_from_own_execution(/** @type number */ mtime) {
+		return executions.some(({ start, end }) =>
+			mtime >= start - mtime_clock_lag && (end == null || mtime <= end))
+	}
+	// These never write to the .git folder, so tracking them would only make external changes
+	// happening at the same time (e.g. during a long `log`) go unnoticed. `status` isn't among them
+	// as it may refresh the index.
+	let read_only_subcommands = ['log', 'show', 'diff', 'rev-parse', 'rev-list', 'reflog', 'blame', 'cat-file', 'for-each-ref', 'ls-files', 'ls-tree', 'merge-base', 'range-diff', 'shortlog', 'patch-id']
+	function get_subcommand(/** @type {string[]} */ args) {
+		for (let i = 0; i < args.length; i++)
+			if (args[i] === '-c' || args[i] === '-C')
+				i++
+			else if (! args[i].startsWith('-'))
+				return args[i]
+		return ''
+	}
 
-	/** @type {Record<string,string>} */
-	let repo_state_cache = {}
-	function start_observing_repo(/** @type {import('./vscode.git').Repository} */ repo) {
-		log.appendLine('start observing repo ' + repo.rootUri.fsPath)
-		return repo.state.onDidChange(() => {
-			// There's no event info available so we need to compare. (https://github.com/microsoft/vscode/issues/142313#issuecomment-1056939973)
-			// Work tree changes is required for detecting stashes.
-			// Detecting branch additions is currently *not possible*.
-			let state_cache = [repo.state.mergeChanges.map((c) => c.uri.fsPath).join(','), repo.state.HEAD?.commit, repo.state.workingTreeChanges.map((c) => c.uri.fsPath).join(','), repo.state.indexChanges.map((c) => c.uri.fsPath).join(',')].join(';')
-			let is_initial_change = ! repo_state_cache[repo.rootUri.fsPath]
-			if (repo_state_cache[repo.rootUri.fsPath] === state_cache)
-				return
-			repo_state_cache[repo.rootUri.fsPath] = state_cache
-			if (is_initial_change)
+	/**
+	 * @param args {string[]}
+	 * @param cwd {string}
+	 * @param options {{ stream_id?: string, on_output?: (output: string) => any, stdin?: string, extra_env?: Record<string, string>, allowed_exit_codes?: number[] }}
+	 */
+	async function exec_git(args, cwd, { stream_id, on_output, stdin, extra_env, allowed_exit_codes } = {}) {
+		let cmd = vscode.workspace.getConfiguration(EXT_ID).get('git-path') || 'git'
+		let process_env = { ...process.env, ...await env, ...extra_env }
+		/** @type {{ start: number, end: number | null } | null} */
+		let execution = read_only_subcommands.includes(get_subcommand(args)) ? null : { start: Date.now(), end: null }
+		if (execution)
+			executions.push(execution)
+		try {
+			/** @type {string} */
+			let stdout = await new Promise((resolve, reject) => {
+				let child_process = exec_file(cmd, args, {
+					cwd,
+					env: process_env,
+					// 35 MB. For scale, Linux kernel git graph (1 mio commits) in extension format
+					// is 538 MB or 7.4 MB for the first 15k commits
+					maxBuffer: 1024 * 1024 * 35,
+				}, (error, stdout, stderr) => {
+					if (stream_id)
+						delete cancellable_processes[stream_id]
+					if (error && ! allowed_exit_codes?.includes(Number(error.code)))
+						reject(Object.assign(error, { stdout, stderr }))
+					else
+						resolve(stdout)
+				})
+				if (stream_id)
+					cancellable_processes[stream_id] = child_process
+				if (stdin != null)
+					child_process.stdin?.end(stdin)
+				if (on_output) {
+					child_process.stdout?.on('data', on_output)
+					child_process.stderr?.on('data', on_output)
+				}
+			})
+			return stdout
+		} catch (error) {
+			let e = error
+			// stderr contains the full message, message itself is too short otherwise
+			e.message = e.stderr || e.stdout
+			if (e.killed)
+				e.message = 'Cancelled.\n\n' + e.message
+			throw e
+		} finally {
+			if (execution) {
+				execution.end = Date.now()
+				// Changes are only reported after the watcher events are debounced, so keep some history
+				executions = executions.filter(({ end }) => end == null || Date.now() - end < 60000)
+			}
+		}
+	}
+
+	/**
+	 * Processes that were started with a *stream_id* and can be cancelled
+	 * @type {Record<string, import('child_process').ChildProcess>}
+	 */
+	let cancellable_processes = {}
+
+	/** @type {Record<string, vscode.Disposable>} */
+	let repo_watchers = {}
+	async function start_observing_repo(/** @type {import('./vscode.git').Repository} */ repo) {
+		let root = repo.rootUri.fsPath
+		log.appendLine('start observing repo ' + root)
+		// Refs are shared between worktrees but HEAD and index aren't
+		let [git_dir, common_dir] = (await exec_git(['rev-parse', '--absolute-git-dir', '--git-common-dir'], root)).trim().split('\n')
+		common_dir = resolve(root, common_dir)
+		let watchers = git_dir === common_dir
+			? [vscode.workspace.createFileSystemWatcher(new vscode.RelativePattern(git_dir, '{HEAD,index,FETCH_HEAD,packed-refs,refs/**}'))]
+			: [
+				vscode.workspace.createFileSystemWatcher(new vscode.RelativePattern(git_dir, '{HEAD,index,FETCH_HEAD}')),
+				vscode.workspace.createFileSystemWatcher(new vscode.RelativePattern(common_dir, '{FETCH_HEAD,packed-refs,refs/**}')),
+			]
+
+		/** @type {Record<string, RepoChange['change']>} by file path */
+		let pending_changes = {}
+		/** @type {NodeJS.Timeout|null} */
+		let debouncer = null
+		function on_file_event(/** @type {RepoChange['change']} */ change, /** @type {vscode.Uri} */ uri) {
+			// git writes all of these files by renaming a .lock file into place
+			if (uri.fsPath.endsWith('.lock'))
 				return
-			// Changes done via interface already do a refresh afterwards, so prevent a second one.
-			// Another solution does not really seem feasible, as it's hard to tell when a change
-			// was made by the user. Some commands never do (log, branch --list, ...), others only
-			// sometimes, depending on work tree and command success. So it would be necessary to
-			// have a separate change detection logic based on .git/HEAD and .git/index because
-			// this one right here is too delayed. vscode.git keeps its own state and refreshes quite
-			// slowly but we need immediate refreshes in the interface while *not* doing duplicate
-			// refreshes for the same action. It seems the sanest solution is just a dumb timer.
-			// The delay margin should be as big as possible in case the repo is *very* big and
-			// a false positive resulting from a a too small margin can lead to *seconds* of
-			// unnecessary reloading, and it should be as small as possible to prevent actual external
-			// changes from being detected which could happen if the user e.g. checks out a branch in
-			// the extension's interface and then quickly commits something from VSCode's SCM view
-			// before the margin elapsed.
-			// Note that `last_git_execution` would usually refer to a `git log` action because any
-			// git action in the web view results in a refresh / log being sent afterwards.
-			let margin = 1500
-			if (Date.now() - last_git_execution < margin)
+			// A ref that is first created and then changed is still new
+			if (pending_changes[uri.fsPath] !== 'created' || change === 'deleted')
+				pending_changes[uri.fsPath] = change
+			if (debouncer)
+				clearTimeout(debouncer)
+			// Commands often touch multiple files, e.g. a commit moves HEAD's branch and rewrites the index
+			debouncer = setTimeout(flush_changes, 100)
+		}
+		async function flush_changes() {
+			let changed_files = Object.entries(pending_changes)
+			pending_changes = {}
+			/** @type {RepoChange[]} */
+			let external_changes = []
+			for (let [file_path, change] of changed_files) {
+				// Deleting a file (ref) updates the modification time of its folder instead
+				let mtime = (await stat(change === 'deleted' ? dirname(file_path) : file_path).maybe())?.mtimeMs ?? Date.now()
+				if (is_from_own_execution(mtime))
+					continue
+				let name = relative(file_path.startsWith(git_dir + sep) ? git_dir : common_dir, file_path).replaceAll(sep, '/')
+				if (name === 'HEAD')
+					external_changes.push({ type: 'head', change })
+				else if (name === 'index')
+					external_changes.push({ type: 'index', change })
+				else if (name === 'FETCH_HEAD')
+					external_changes.push({ type: 'fetch', change })
+				else if (name === 'packed-refs')
+					external_changes.push({ type: 'ref', change })
+				else
+					external_changes.push({ type: 'ref', change, ref: name })
+			}
+			if (! external_changes.length)
 				return
 			// We have to observe all repos even if they aren't the selected one because
-			// there is no apparent way to unsubscribe from repo state changes. So filter:
+			// the selection can change any time, so filter:
 			if (api.repositories.findIndex((r) => r.rootUri.path === repo.rootUri.path) !== selected_repo_index)
 				return
-			log.appendLine('repo watcher: external index/head change') // from external, e.g. cli or committed via vscode ui
-			return on_repo_external_state_change()
+			// from external, e.g. cli or committed via vscode ui
+			log.appendLine('repo watcher: external changes: ' + external_changes.map(({ type, change, ref }) =>
+				`${type} ${change}${ref ? ' ' + ref : ''}`).join(', '))
+			return on_repo_external_state_change(external_changes)
+		}
+
+		for (let watcher of watchers) {
+			watcher.onDidCreate((uri) => on_file_event('created', uri))
+			watcher.onDidChange((uri) => on_file_event('changed', uri))
+			watcher.onDidDelete((uri) => on_file_event('deleted', uri))
+		}
+		repo_watchers[root] = vscode.Disposable.from(...watchers, {
+			dispose() {
+				if (debouncer)
+					clearTimeout(debouncer)
+			},
 		})
 	}
+	function stop_observing_repo(/** @type string */ root) {
+		log.appendLine('stop observing repo ' + root)
+		repo_watchers[root]?.dispose()
+		delete repo_watchers[root]
+	}
 
 	/** @type {import('./vscode.git').Repository[]} */
 	let repos_cache = []
@@ -70,7 +223,10 @@ module.exports.get_git = function(EXT_ID, log, { on_repo_external_state_change,
 		repos_changed_debouncer = setTimeout(() => {
 			log.appendLine('workspace: repo(s) added/removed')
 			api.repositories.filter((repo) => ! repos_cache.includes(repo)).forEach((repo) =>
-				start_observing_repo(repo))
+				start_observing_repo(repo).catch((e) =>
+					log.appendLine('cannot observe repo ' + repo.rootUri.fsPath + ': ' + (e.message || e))))
+			repos_cache.filter((repo) => ! api.repositories.includes(repo)).forEach((repo) =>
+				stop_observing_repo(repo.rootUri.fsPath))
 			repos_cache = api.repositories.slice()
 			return on_repo_names_change()
 		}, 200)
@@ -81,40 +237,96 @@ module.exports.get_git = function(EXT_ID, log, { on_repo_external_state_change,
 	repos_changed()
 
 	let selected_repo_index = 0
+	/**
+	 * The folder that git is run in for the repo. Unlike its index, this identifies it permanently.
+	 * @param repo_index {number|undefined} Defaults to the selected one
+	 */
+	function get_repo_root(repo_index) {
+		if (repo_index == null)
+			repo_index = selected_repo_index
+		/** @type {string|undefined} */
+		let folder = vscode.workspace.getConfiguration(EXT_ID).get('folder')
+		if (folder)
+			return folder
+		let repo = api.repositories[repo_index]
+		if (! repo && repo_index > 0) {
+			repo_index = 0
+			repo = api.repositories[repo_index]
+			if (! repo)
+				throw `No repository found for repo_index ${repo_index}`
+		} if (! repo)
+			throw 'No repository selected'
+		return repo.rootUri.fsPath
+	}
 	return {
 		get_repo_names() {
 			return api.repositories.map((f) => basename(f.rootUri.path))
 		},
-		async run(/** @type string */ args, /** @type {number|undefined} */ repo_index) {
-			if (repo_index == null)
-				repo_index = selected_repo_index
-			let cwd = vscode.workspace.getConfiguration(EXT_ID).get('folder')
-			let cmd = vscode.workspace.getConfiguration(EXT_ID).get('git-path') || 'git'
-			if (! cwd) {
-				let repo = api.repositories[repo_index]
-				if (! repo && repo_index > 0) {
-					repo_index = 0
-					repo = api.repositories[repo_index]
-					if (! repo)
-						throw `No repository found for repo_index ${repo_index}`
-				} if (! repo)
-					throw 'No repository selected'
-				cwd = repo.rootUri.fsPath
-			} try {
-				let { stdout, stderr: _ } = await exec(cmd + ' ' + args, {
-					cwd,
-					// 35 MB. For scale, Linux kernel git graph (1 mio commits) in extension format
-					// is 538 MB or 7.4 MB for the first 15k commits
-					maxBuffer: 1024 * 1024 * 35,
-				})
-				last_git_execution = Date.now()
-				return stdout
-			} catch (error) {
-				let e = error
-				// stderr contains the full message, message itself is too short otherwise
-				e.message = e.stderr || e.stdout
-				throw e
+		/**
+		 * Executes git directly, *not* through a shell, so nothing in *args* needs escaping
+		 * @param args {string[]}
+		 * @param repo_index {number|undefined}
+		 * @param options {{ stream_id?: string, on_output?: (output: string) => any, stdin?: string, extra_env?: Record<string, string>, allowed_exit_codes?: number[] }}
+		 * If given, *on_output* receives all stdout and stderr chunks as they come in, and the
+		 * process can be killed with `cancel(stream_id)` until it's finished. *stdin* is written
+		 * to the process as its whole input, e.g. a patch for `git apply`. *extra_env* is added to
+		 * the environment, e.g. for `GIT_SEQUENCE_EDITOR`. *allowed_exit_codes* other than 0 still
+		 * resolve with the output, e.g. 1 for `merge-tree` with conflicts.
+		 */
+		async run(args, repo_index, { stream_id, on_output, stdin, extra_env, allowed_exit_codes } = {}) {
+			if (! Array.isArray(args) || args.some((arg) => typeof arg !== 'string'))
+				throw 'git args must be an array of strings'
+			return exec_git(args, get_repo_root(repo_index), { stream_id, on_output, stdin, extra_env, allowed_exit_codes })
+		},
+		get_repo_root,
+		/**
+		 * The operation that is in progress and waiting for the user to continue, skip or abort it,
+		 * as told by the files git keeps in the .git folder meanwhile
+		 * @return {Promise<RepoOperation | null>}
+		 */
+		async get_operation(/** @type {number|undefined} */ repo_index) {
+			let git_dir = (await exec_git(['rev-parse', '--absolute-git-dir'], get_repo_root(repo_index))).trim()
+			for (let [file, operation] of operation_files)
+				if (await stat(resolve(git_dir, file)).maybe())
+					return operation
+			return null
+		},
+		/**
+		 * Which of the commits on both sides make the same changes, by their `git patch-id`. Done here
+		 * because the patches of all commits can be large, e.g. after a big rebase. If several commits
+		 * of a side have the same changes, they're paired with those of the other side in order.
+		 * @param sides {{ left: string[], right: string[] }} Full hashes
+		 * @param repo_index {number|undefined}
+		 * @return {Promise<Record<string, string>>} Full hash by full hash, both directions
+		 */
+		async get_patch_equivalents({ left, right }, repo_index) {
+			if (! left.length || ! right.length)
+				return {}
+			let cwd = get_repo_root(repo_index)
+			let patches = await exec_git(['show', ...left, ...right], cwd)
+			let patch_ids = await exec_git(['patch-id', '--stable'], cwd, { stdin: patches })
+			let left_hashes = new Set(left)
+			/** @type {Record<string, { left: string[], right: string[] }>} */
+			let by_patch_id = {}
+			for (let line of patch_ids.split('\n').filter(Boolean)) {
+				let [patch_id = '', hash_long = ''] = line.split(' ')
+				let same_patch = by_patch_id[patch_id] ||= { left: [], right: [] }
+				same_patch[left_hashes.has(hash_long) ? 'left' : 'right'].push(hash_long)
 			}
+			/** @type {Record<string, string>} */
+			let equivalents = {}
+			for (let same_patch of Object.values(by_patch_id))
+				for (let i = 0; i < Math.min(same_patch.left.length, same_patch.right.length); i++) {
+					let a = same_patch.left[i] || ''
+					let b = same_patch.right[i] || ''
+					equivalents[a] = b
+					equivalents[b] = a
+				}
+			return equivalents
+		},
+		cancel(/** @type string */ stream_id) {
+			log.appendLine('cancel git process ' + stream_id)
+			cancellable_processes[stream_id]?.kill()
 		},
 		set_selected_repo_index(/** @type number */ index) {
 			log.appendLine('set selected repo index ' + index)
@@ -0,0 +1,55 @@
+let path = require('path')
+let os = require('os')
+let { mkdtemp, writeFile, rm } = require('fs').promises
+
+/**
+ * @typedef {{
+ *	action: 'pick' | 'reword' | 'edit' | 'squash' | 'fixup' | 'drop'
+ *	hash: string
+ *	message?: string
+ * }} RebaseTodoItem
+ * *message* is the new message for `reword`, ignored otherwise.
+ */
+
+/** Single-quoted for sh, which is what git runs editors and `exec` lines with, also on Windows */
+let sh_quote = (/** @type string */ value) =>
+	`'${value.replaceAll("'", "'\\''")}'`
+
+/**
+ * The todo list as git expects it. `reword` would open an editor, so it becomes a `pick`
+ * followed by an `exec` that amends the message, which comes from *todo* instead.
+ * @param todo {RebaseTodoItem[]}
+ */
+function format_todo(todo) {
+	return todo.flatMap(({ action, hash, message }) => {
+		if (action !== 'reword' || ! message)
+			return [`${action === 'reword' ? 'pick' : action} ${hash}`]
+		// exec lines can't span multiple lines, so the message is piped in line by line
+		let lines = message.trim().split('\n').map(sh_quote).join(' ')
+		return [`pick ${hash}`, `exec printf '%s\\n' ${lines} | git commit --amend --only --allow-empty --no-verify --file=-`]
+	}).join('\n') + '\n'
+}
+
+/**
+ * Runs `git rebase -i *base*` with *todo* in place of the list that git would open in an editor,
+ * which is done with a `GIT_SEQUENCE_EDITOR` that simply copies it over. Messages of squashes
+ * are combined without asking (`core.editor=true`). When it stops, e.g. because of an `edit` or
+ * a conflict, it's up to the user to continue, just like on the command line.
+ * @param git {ReturnType<typeof import('./git').get_git>}
+ * @param args {{ base: string, todo: RebaseTodoItem[] }}
+ */
+module.exports.run_interactive_rebase = async function(git, { base, todo }) {
+	if (! todo.length)
+		throw 'Nothing to rebase'
+	let dir = await mkdtemp(path.join(os.tmpdir(), 'git-log--graph-rebase-'))
+	try {
+		let todo_path = path.join(dir, 'git-rebase-todo')
+		await writeFile(todo_path, format_todo(todo))
+		return await git.run(['-c', 'core.editor=true', 'rebase', '--interactive', base], undefined, {
+			extra_env: { GIT_SEQUENCE_EDITOR: `cp ${sh_quote(todo_path.replaceAll('\\', '/'))}` },
+		})
+	} finally {
+		// git has read the todo list by now, even if it stopped
+		await rm(dir, { recursive: true, force: true }).maybe()
+	}
+}
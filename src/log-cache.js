@@ -0,0 +1,59 @@
+let vscode = require('vscode')
+let { createHash } = require('crypto')
+
+/**
+ * @typedef {{
+ *	args_key: string
+ *	tips: Record<string, string>
+ *	stash_refs: string
+ *	rows: string[]
+ *	branch_data: string
+ *	stash_data: string
+ *	head_data: string
+ *	status_data: string
+ * }} LogCache
+ * The last log shown for a repository, so it can be displayed right away on startup, without waiting
+ * for git. *args_key* (the log args) and *tips* (all refs) tell which state of the repository it
+ * belongs to, which is where reconciling with the actual state starts from (see `git_run_log` in store.js).
+ */
+
+/**
+ * Stores one `LogCache` per repository as a file in the extension's workspace storage.
+ * @param storage_uri {vscode.Uri | undefined} Without an open workspace, there is none and nothing is cached
+ * @param log {vscode.OutputChannel}
+ */
+module.exports.get_log_cache = function(storage_uri, log) {
+	// Increase when LogCache or the row format changes so that old files are ignored
+	let version = 2
+	/** @type {Promise<any>} */
+	let write_queue = Promise.resolve()
+	function get_uri(/** @type {vscode.Uri} */ storage_uri, /** @type string */ repo_root) {
+		let file_name = createHash('sha1').update(repo_root).digest('hex').slice(0, 16) + '.json'
+		return vscode.Uri.joinPath(storage_uri, 'log-cache', file_name)
+	}
+	return {
+		/** @return {Promise<LogCache | null>} */
+		async get(/** @type string */ repo_root) {
+			if (! storage_uri)
+				return null
+			let content = await vscode.workspace.fs.readFile(get_uri(storage_uri, repo_root)).then(null, () => null)
+			if (! content)
+				return null
+			let stored = (() => JSON.parse(Buffer.from(content).toString('utf8'))).maybe()
+			return stored?.version === version ? stored.cache : null
+		},
+		set(/** @type string */ repo_root, /** @type {LogCache} */ cache) {
+			if (! storage_uri)
+				return
+			let uri = get_uri(storage_uri, repo_root)
+			let content = Buffer.from(JSON.stringify({ version, cache }))
+			// Writes of the same file must not overlap
+			write_queue = write_queue.then(async () => {
+				await vscode.workspace.fs.createDirectory(vscode.Uri.joinPath(uri, '..'))
+				await vscode.workspace.fs.writeFile(uri, content)
+			}).catch((e) =>
+				log.appendLine('log cache: could not be written: ' + (e.message || e)))
+			return write_queue
+		},
+	}
+}
@@ -1,3 +1,5 @@
+import { parse_args } from './git-args.js'
+
 /** @typedef {import('@extension/extension').BridgeMessage} BridgeMessage */
 
 let vscode = acquireVsCodeApi()
@@ -52,13 +54,66 @@ export let exchange_message = async (/** @type string */ command, /** @type any
 	return resp.data
 }
 
-/** @return {Promise<string>} */
-export let git = (/** @type string */ args) =>
-	exchange_message('git', args).then(s => s.trim())
+/**
+ * @param args {string | string[]} Prefer the array form when arguments contain anything
+ * dynamic such as hashes, ref names or file paths. The string form is split according
+ * to the rules in git-args.js.
+ * @param options {{ trim?: boolean, allowed_exit_codes?: number[] }} The output is trimmed unless *trim*
+ * is `false`, e.g. for patches. Exit codes other than 0 are errors unless in *allowed_exit_codes*.
+ * @return {Promise<string>}
+ */
+export let git = (args, { trim = true, allowed_exit_codes } = {}) => {
+	let parsed_args = typeof args === 'string' ? parse_args(args) : args
+	return exchange_message('git', allowed_exit_codes ? { args: parsed_args, allowed_exit_codes } : parsed_args)
+		.then(s => trim ? s.trim() : s)
+}
+/**
+ * Like `git`, but with *stdin* as the input of the process, e.g. a patch for `git apply`
+ * @param args {string[]}
+ * @param stdin {string}
+ * @return {Promise<string>}
+ */
+export let git_with_input = (args, stdin) =>
+	exchange_message('git-with-input', { args, stdin }).then(s => s.trim())
 export let show_information_message = (/** @type string */ msg) =>
 	exchange_message('show-information-message', msg)
 export let show_error_message = (/** @type string */ msg) =>
 	exchange_message('show-error-message', msg)
 
+// Doesn't point to the *actual* publicPath because VSCode proxies this somehow:
+// base_url = process.env.BASE_URL
+// In vue.config.js, it's set to `localhost:8080`, but that is for development only,
+// and on production, the path is not deterministic. Is there a better solution?
+// So we determine manually whatever `view.asWebviewUri` in `extension.js` has yielded this time,
+// in this case by just copying the path from the last <script/> tag:
+export let base_url = (document.body.lastElementChild?.attributes.getNamedItem('src')?.value.match(/^(.+)\/js\/.+/)?.[1] || '') + '/'
+
 export let add_push_listener = (/** @type string */ id, /** @type {(r: BridgeMessage) => void} */ handler) =>
 	push_handlers[id] = handler
+
+/** @type {Record<string, (output: string) => any>} */
+let git_output_handlers = {}
+add_push_listener('git-output', ({ data: { stream_id, output } }) =>
+	git_output_handlers[stream_id]?.(output))
+let git_stream_id = 0
+/**
+ * Like `git`, but for long-running commands: *on_output* receives stdout and stderr
+ * (intermixed) while the process is still running, and it is killed once *signal* is aborted.
+ * @param args {string[]}
+ * @param options {{ on_output: (output: string) => any, signal?: AbortSignal }}
+ * @return {Promise<string>}
+ */
+export let git_stream = async (args, { on_output, signal }) => {
+	if (signal?.aborted)
+		throw new Error('Cancelled.')
+	let stream_id = String(++git_stream_id)
+	git_output_handlers[stream_id] = on_output
+	let cancel = () => exchange_message('git-cancel', stream_id)
+	signal?.addEventListener('abort', cancel)
+	try {
+		return await exchange_message('git-stream', { args, stream_id }).then(s => s.trim())
+	} finally {
+		delete git_output_handlers[stream_id]
+		signal?.removeEventListener('abort', cancel)
+	}
+}
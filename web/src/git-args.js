@@ -0,0 +1,122 @@
+// git commands are never run through a shell (see `run` in git.js) but as an
+// argument array. Action commands are still written as a single line of text, so
+// this is where they are split into arguments. The syntax is a tiny subset of sh:
+// "double" and 'single' quotes, backslash escaping, and chaining multiple git
+// commands with `;` or `&&`. Everything else (`$(...)`, backticks, pipes, `>` etc.)
+// has no special meaning and is passed on to git as is.
+
+/**
+ * @typedef {{
+ *	args: string[]
+ *	operator: ';' | '&&' | null
+ * }} GitCommandStep
+ * One git invocation of a command. *operator* is how it is chained to the previous
+ * step, or `null` for the first one.
+ */
+
+/**
+ * @param command {string} The command without the leading `git`. Further chained
+ * commands must start with `git` though, e.g. `checkout "$1" && git merge "$2"`.
+ * @param placeholders {Record<string, string>} e.g. `{ $1: 'main', '{BRANCH_NAME}': 'main' }`.
+ * These are substituted while splitting, so their values can contain anything without
+ * being interpreted: In quotes of either kind, a value is inserted as is. Outside of quotes,
+ * it is split into multiple arguments at whitespace, e.g. for lists of hashes.
+ * @return {GitCommandStep[]}
+ */
+export let parse_command = (command, placeholders = {}) => {
+	// Longest first so that `$10` isn't mistaken for `$1`
+	let placeholder_keys = Object.keys(placeholders).sort((a, b) => b.length - a.length)
+	/** @type {GitCommandStep[]} */
+	let steps = [{ args: [], operator: null }]
+	/** @type {string | null} `null` while between arguments */
+	let arg = null
+	/** @type {'"' | "'" | null} */
+	let quote = null
+	function end_arg() {
+		if (arg != null)
+			steps[steps.length - 1].args.push(arg)
+		arg = null
+	}
+	function start_step(/** @type {';' | '&&'} */ operator) {
+		end_arg()
+		if (! steps[steps.length - 1].args.length)
+			throw new Error(`Syntax error: Unexpected \`${operator}\``)
+		steps.push({ args: [], operator })
+	}
+	for (let i = 0; i < command.length; i++) {
+		let char = command[i]
+		let placeholder = placeholder_keys.find((key) => command.startsWith(key, i))
+		if (placeholder != null) {
+			let value = placeholders[placeholder]
+			if (quote)
+				arg = (arg || '') + value
+			else
+				value.split(/(\s+)/).forEach((part, part_i) => {
+					if (part_i % 2)
+						end_arg()
+					else if (part)
+						arg = (arg || '') + part
+				})
+			i += placeholder.length - 1
+		} else if (quote === "'" && char === "'")
+			quote = null
+		else if (quote === "'")
+			arg += char
+		// Any other backslash is kept literally, mostly so Windows paths keep working
+		else if (char === '\\' && i + 1 < command.length && (quote ? '"\\' : '"\'\\ \t').includes(command[i + 1]))
+			arg = (arg || '') + command[++i]
+		else if (quote === '"' && char === '"')
+			quote = null
+		else if (quote === '"')
+			arg += char
+		else if (char === '"' || char === "'") {
+			quote = char
+			arg = arg || ''
+		} else if (char === ' ' || char === '\t' || char === '\n')
+			end_arg()
+		else if (char === ';')
+			start_step(';')
+		else if (command.startsWith('&&', i)) {
+			start_step('&&')
+			i++
+		} else
+			arg = (arg || '') + char
+	}
+	if (quote)
+		throw new Error(`Syntax error: Missing closing ${quote}`)
+	end_arg()
+	for (let step of steps.slice(1))
+		if (step.args.shift() !== 'git')
+			throw new Error(`Syntax error: Chained commands must start with \`git\` (after \`${step.operator}\`)`)
+	if (! steps[steps.length - 1].args.length && steps.length > 1)
+		throw new Error(`Syntax error: Missing command after \`${steps[steps.length - 1].operator}\``)
+	return steps
+}
+
+/**
+ * Like `parse_command`, but for a single git invocation without placeholders.
+ * @param command {string}
+ */
+export let parse_args = (command) => {
+	let steps = parse_command(command)
+	if (steps.length > 1)
+		throw new Error(`Expected a single git command but got ${steps.length}: ${command}`)
+	return steps[0].args
+}
+
+/**
+ * The reverse of `parse_command`: Quotes where necessary so that parsing the result
+ * again yields the same *steps*. Used to show what has actually been executed.
+ * @param steps {GitCommandStep[]}
+ */
+export let format_command = (steps) =>
+	steps.map((step) =>
+		(step.operator ? `${step.operator} git ` : '') + format_args(step.args),
+	).join(' ')
+
+export let format_args = (/** @type {string[]} */ args) =>
+	args.map((arg) =>
+		arg && ! /[\s"'\\;&]/.test(arg)
+			? arg
+			: '"' + arg.replace(/["\\]/g, '\\$&') + '"',
+	).join(' ')
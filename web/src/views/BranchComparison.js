@@ -0,0 +1,125 @@
+import { computed, defineComponent, ref } from 'vue'
+import { exchange_message, git } from '../bridge.js'
+import { branch_comparison } from './store.js'
+import FilesDiffsList from './FilesDiffsList.vue'
+import { changed_files_options, parse_changed_files } from './changed-files.js'
+
+/**
+ * @typedef {{
+ *	hash: string
+ *	hash_long: string
+ *	subject: string
+ *	author_name: string
+ *	equivalent_hash: string | null
+ * }} ComparedCommit
+ * *equivalent_hash* is the commit on the other side with the same changes (patch-id), if any,
+ * e.g. because it was cherry-picked or rebased.
+ */
+
+let sep = '^%^%^%^%^'
+
+/** The commits that are only in one of two refs, the merge base and the difference of their trees */
+export default defineComponent({
+	components: { FilesDiffsList },
+	emits: ['hash_clicked'],
+	setup() {
+		let error = ref('')
+		let loading = ref(true)
+		/** @type {import('vue').Ref<{ hash: string, subject: string } | null>} */
+		let merge_base = ref(null)
+		/** @type {import('vue').Ref<ComparedCommit[]>} */
+		let left_commits = ref([])
+		/** @type {import('vue').Ref<ComparedCommit[]>} */
+		let right_commits = ref([])
+		/** @type {import('vue').Ref<import('./FilesDiffsList').FileDiff[]>} */
+		let files = ref([])
+
+		async function get_side_commits(/** @type {'--left-only' | '--right-only'} */ side, /** @type string */ range) {
+			let log_data = await git(['log', '--left-right', '--cherry-mark', side, `--format=%m${sep}%h${sep}%H${sep}%s${sep}%an`, range])
+			return log_data.split('\n').filter(Boolean).map((line) => {
+				let [mark = '', hash = '', hash_long = '', subject = '', author_name = ''] = line.split(sep)
+				return { is_equivalent: mark === '=', hash, hash_long, subject, author_name }
+			})
+		}
+		/**
+		 * For the commits that `--cherry-mark` marked as equivalent, which ones they are equivalent to
+		 * @return {Promise<Record<string, string>>} Full hash by full hash, both directions
+		 */
+		let get_equivalents = (/** @type {{ left: string[], right: string[] }} */ sides) =>
+			exchange_message('get-patch-equivalents', sides)
+
+		async function load() {
+			if (! branch_comparison.value)
+				return
+			let { left, right } = branch_comparison.value
+			let range = `${left}...${right}`
+			let [merge_base_hash, left_raw, right_raw, changed_files] = await Promise.all([
+				// Unrelated histories have none
+				git(['merge-base', left, right]).catch(() => ''),
+				get_side_commits('--left-only', range),
+				get_side_commits('--right-only', range),
+				git(['-c', 'core.quotepath=false', 'diff', ...changed_files_options, left, right]),
+			])
+			if (merge_base_hash) {
+				let [hash = '', subject = ''] = (await git(['log', '-1', `--format=%h${sep}%s`, merge_base_hash])).split(sep)
+				merge_base.value = { hash, subject }
+			}
+			let equivalent_hashes = (/** @type {typeof left_raw} */ side_commits) =>
+				side_commits.filter((commit) => commit.is_equivalent).map((commit) => commit.hash_long)
+			let equivalents = await get_equivalents({ left: equivalent_hashes(left_raw), right: equivalent_hashes(right_raw) })
+			let short_hashes = Object.fromEntries([...left_raw, ...right_raw].map((commit) => [commit.hash_long, commit.hash]))
+			let to_compared_commit = (/** @type {typeof left_raw[number]} */ { is_equivalent, ...commit }) => {
+				let equivalent_hash_long = equivalents[commit.hash_long]
+				return { ...commit, equivalent_hash: equivalent_hash_long ? short_hashes[equivalent_hash_long] || equivalent_hash_long.slice(0, 7) : null }
+			}
+			left_commits.value = left_raw.map(to_compared_commit)
+			right_commits.value = right_raw.map(to_compared_commit)
+			files.value = parse_changed_files(changed_files)
+		}
+		load().catch((e) => {
+			error.value = e.message_error_response || e.message || e
+		}).finally(() => {
+			loading.value = false
+		})
+
+		let sides = computed(() => {
+			if (! branch_comparison.value)
+				return []
+			let { left, right } = branch_comparison.value
+			return [
+				{ ref_name: left, other_ref_name: right, commits: left_commits.value },
+				{ ref_name: right, other_ref_name: left, commits: right_commits.value },
+			]
+		})
+
+		function show_diff(/** @type {import('./FilesDiffsList').FileDiff} */ file) {
+			if (! branch_comparison.value)
+				return
+			return exchange_message('open-diff', {
+				hashes: [branch_comparison.value.left, branch_comparison.value.right],
+				filename: file.path,
+				old_filename: file.old_path,
+			})
+		}
+		function view_rev(/** @type {import('./FilesDiffsList').FileDiff} */ file) {
+			if (! branch_comparison.value)
+				return
+			return exchange_message('view-rev', {
+				// Deleted files only exist on the left
+				hash: file.status === 'D' ? branch_comparison.value.left : branch_comparison.value.right,
+				filename: file.path,
+			})
+		}
+
+		return {
+			comparison: branch_comparison,
+			error,
+			loading,
+			merge_base,
+			sides,
+			files,
+			show_diff,
+			view_rev,
+		}
+	},
+})
@@ -0,0 +1,107 @@
+import { computed, defineComponent, ref, watch } from 'vue'
+import { git } from '../bridge.js'
+import { stateful_computed, refresh_main_view, working_tree_changes } from './store.js'
+
+let subject_guide = 50
+let body_guide = 72
+let available_options = [
+	{ value: '--amend', info: 'Replace the HEAD commit instead of creating a new one' },
+	{ value: '--signoff', info: 'Add a Signed-off-by trailer with your name and email' },
+	{ value: '--no-verify', info: 'Skip the pre-commit and commit-msg hooks' },
+	{ value: '--gpg-sign', info: 'GPG-sign the commit with the default key' },
+]
+// Outside of setup so that a message in progress survives switching to another commit and back
+let subject = ref('')
+let body = ref('')
+
+/** Writes a commit of the staged changes, shown above them in WorkingTreeDetails */
+export default defineComponent({
+	setup() {
+		/** @type {import('vue').WritableComputedRef<string[]>} */
+		let active_options = stateful_computed('commit-composer-options', [])
+		let is_amend = computed(() => active_options.value.includes('--amend'))
+		let error = ref('')
+		function toggle_option(/** @type string */ option) {
+			if (active_options.value.includes(option))
+				active_options.value = active_options.value.filter((o) => o !== option)
+			else
+				active_options.value = [...active_options.value, option]
+		}
+		watch(is_amend, async (amend) => {
+			// So that amending doesn't require retyping the message
+			if (! amend || subject.value || body.value)
+				return
+			let message = ''
+			try {
+				message = await git(['log', '-1', '--format=%B'])
+			} catch (e) {
+				// E.g. there is no commit yet
+				error.value = e.message_error_response || e.message || e
+				return
+			}
+			let [first_line = '', ...rest] = message.split('\n')
+			subject.value = first_line
+			body.value = rest.join('\n').trim()
+		})
+
+		let subject_length_class = computed(() => {
+			if (subject.value.length > body_guide)
+				return 'error'
+			if (subject.value.length > subject_guide)
+				return 'warn'
+			return 'grey'
+		})
+		let long_body_lines = computed(() =>
+			body.value.split('\n')
+				.map((line, i) => ({ line_no: i + 1, length: line.length }))
+				.filter(({ length }) => length > body_guide)
+				.map(({ line_no }) => line_no))
+
+		let has_staged_changes = computed(() => working_tree_changes.value.staged.length > 0)
+		let can_commit = computed(() => {
+			if (! subject.value.trim())
+				return false
+			return has_staged_changes.value || is_amend.value
+		})
+		let selected_commits_hashes = stateful_computed('repo:selected-commits-hashes', [])
+		async function commit() {
+			if (! can_commit.value)
+				return
+			error.value = ''
+			try {
+				await git(['commit', ...active_options.value, '-m', subject.value, ...body.value.trim() ? ['-m', body.value] : []])
+			} catch (e) {
+				error.value = e.message_error_response || e.message || e
+				return
+			}
+			subject.value = ''
+			body.value = ''
+			if (is_amend.value)
+				toggle_option('--amend')
+			// The commit was made, so only its selection and the refresh can fail from here on
+			try {
+				selected_commits_hashes.value = [await git(['rev-parse', '--short', 'HEAD'])]
+				await refresh_main_view()
+			} catch (e) {
+				error.value = e.message_error_response || e.message || e
+			}
+		}
+
+		return {
+			subject,
+			body,
+			subject_guide,
+			body_guide,
+			available_options,
+			active_options,
+			toggle_option,
+			subject_length_class,
+			long_body_lines,
+			has_staged_changes,
+			can_commit,
+			is_amend,
+			error,
+			commit,
+		}
+	},
+})
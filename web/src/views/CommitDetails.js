@@ -1,19 +1,22 @@
 import { is_branch } from './types'
 import { ref, computed, defineComponent, watchEffect } from 'vue'
 import { git, exchange_message } from '../bridge.js'
-import { commit_actions, stash_actions, branch_actions, tag_actions, config, show_branch } from './store.js'
+import { commit_actions, stash_actions, branch_actions, tag_actions, config, show_branch, line_history, interactive_rebase_base_hash, range_diff_ranges } from './store.js'
 import GitActionButton from './GitActionButton.vue'
 import RefTip from './RefTip.vue'
 import FilesDiffsList from './FilesDiffsList.vue'
+import { changed_files_options, parse_changed_files } from './changed-files.js'
+import DiffView from './DiffView.vue'
 /**
  * @typedef {import('./types').Commit} Commit
  * @typedef {import('./types').Branch} Branch
+ * @typedef {import('./FilesDiffsList').FileDiff} FileDiff
  */
 /** @template T @typedef {import('vue').Ref<T>} Ref */
 /** @template T @typedef {import('vue').ComputedRef<T>} ComputedRef */
 
 export default defineComponent({
-	components: { GitActionButton, RefTip, FilesDiffsList },
+	components: { GitActionButton, RefTip, FilesDiffsList, DiffView },
 	props: {
 		commit: {
 			/** @type {() => Commit} */
@@ -37,7 +40,7 @@ export default defineComponent({
 		let stash = computed(() => props.commit.refs.find((ref) =>
 			ref.type === 'stash'))
 
-		/** @type {Ref<import('./FilesDiffsList').FileDiff[]>} */
+		/** @type {Ref<FileDiff[]>} */
 		let changed_files = ref([])
 		let body = ref('')
 		/** @type {Ref<string[]>} */
@@ -45,40 +48,48 @@ export default defineComponent({
 		watchEffect(async () => {
 			// so we can see untracked as well
 			let get_files_command = stash.value
-				? `-c core.quotepath=false stash show --include-untracked --numstat --format="" ${
+				? ['-c', 'core.quotepath=false', 'stash', 'show', '--include-untracked', ...changed_files_options, props.commit.hash]
+				: ['-c', 'core.quotepath=false', 'diff', ...changed_files_options, props.commit.hash + '~1', props.commit.hash]
+			changed_files.value = parse_changed_files(await git(get_files_command).maybe() || '')
 
-					props.commit.hash}`
-				: `-c core.quotepath=false diff --numstat --format="" ${props.commit.hash} ${props.commit.hash}~1`
-			changed_files.value = ((await git(get_files_command).maybe()))?.split('\n').filter(Boolean).map((l) => {
-				let split = l.split('\t')
-				return {
-					path: split[2],
-					insertions: Number(split[1]),
-					deletions: Number(split[0]),
-				}
-			}) || []
-
-			body.value = await git(`show -s --format="%b" ${props.commit.hash}`)
+			body.value = await git(['show', '-s', '--format=%b', props.commit.hash])
 
 			tag_details.value = []
 			for (let tag of tags.value) {
-				let details = await git('show --format="" --quiet refs/tags/' + tag.name)
+				let details = await git(['show', '--format=', '--quiet', 'refs/tags/' + tag.name])
 				tag_details.value.push(details)
 			}
 
-			parent_hashes.value = ((await git(`log --pretty=%p -n 1 ${props.commit.hash}`))).split(' ')
+			parent_hashes.value = ((await git(['log', '--pretty=%p', '-n', '1', props.commit.hash]))).split(' ')
 		})
 
-		function show_diff(/** @type string */ filepath) {
+		/**
+		 * The changes shown inline below the files list, with *path* `''` for all files
+		 * @type {Ref<{ path: string, old_path?: string } | null>}
+		 */
+		let inline_diff = ref(null)
+		function show_diff(/** @type FileDiff */ file) {
+			inline_diff.value = inline_diff.value?.path === file.path ? null : { path: file.path, old_path: file.old_path }
+		}
+		function toggle_all_diffs() {
+			inline_diff.value = inline_diff.value?.path === '' ? null : { path: '' }
+		}
+		/** The git command and revisions for `DiffView` */
+		let diff_source = computed(() => stash.value
+			? { command: ['stash', 'show', '--patch', '--include-untracked'], revisions: [props.commit.hash] }
+			: { command: ['diff'], revisions: [props.commit.hash + '~1', props.commit.hash] })
+		function open_diff(/** @type {{ path: string, old_path?: string | null }} */ file) {
 			return exchange_message('open-diff', {
 				hashes: [props.commit.hash + '~1', props.commit.hash],
-				filename: filepath,
+				filename: file.path,
+				old_filename: file.old_path,
 			})
 		}
-		function view_rev(/** @type string */ filepath) {
+		function view_rev(/** @type FileDiff */ file) {
 			return exchange_message('view-rev', {
-				hash: props.commit.hash,
-				filename: filepath,
+				// Deleted files only exist before
+				hash: file.status === 'D' ? props.commit.hash + '~1' : props.commit.hash,
+				filename: file.path,
 			})
 		}
 		let _commit_actions = computed(() =>
@@ -90,6 +101,27 @@ export default defineComponent({
 		let _tag_actions = computed(() => (/** @type string */ tag_name) =>
 			tag_actions(tag_name).value)
 
+		/** What the line history (see `git_line_history`) says this commit did to the lines, if it's part of it */
+		let line_history_patch = computed(() => {
+			let patch = line_history.value?.patches[props.commit.hash_long]
+			if (! patch)
+				return null
+			let in_hunk = false
+			return patch.split('\n').map((text) => {
+				let type = 'context'
+				if (text.startsWith('@@')) {
+					in_hunk = true
+					type = 'hunk'
+				} else if (! in_hunk)
+					type = 'meta'
+				else if (text.startsWith('+'))
+					type = 'added'
+				else if (text.startsWith('-'))
+					type = 'removed'
+				return { text, type }
+			})
+		})
+
 		let config_show_buttons = computed(() =>
 			! config.value['hide-sidebar-buttons'])
 		return {
@@ -98,7 +130,11 @@ export default defineComponent({
 			tag_details,
 			stash,
 			changed_files,
+			inline_diff,
 			show_diff,
+			toggle_all_diffs,
+			diff_source,
+			open_diff,
 			view_rev,
 			body,
 			commit_actions: _commit_actions,
@@ -106,9 +142,16 @@ export default defineComponent({
 			tag_actions: _tag_actions,
 			stash_actions: _stash_actions,
 			show_branch,
+			interactive_rebase_base_hash,
+			/** The branch before its last change (reflog) and now, e.g. before and after a rebase or force push */
+			show_previous_version_range_diff(/** @type {import('./types').Branch} */ branch) {
+				range_diff_ranges.value = [`${branch.id}..${branch.id}@{1}`, `${branch.id}@{1}..${branch.id}`]
+			},
 			config_show_buttons,
 			parent_hashes,
 			details_panel_position,
+			line_history,
+			line_history_patch,
 		}
 	},
 })
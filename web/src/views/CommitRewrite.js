@@ -0,0 +1,127 @@
+import { computed, defineComponent, ref } from 'vue'
+import { exchange_message, git } from '../bridge.js'
+import { commit_rewrite, git_rebase_commits, refresh_main_view } from './store.js'
+
+/**
+ * @typedef {import('@extension/interactive-rebase').RebaseTodoItem} RebaseTodoItem
+ * @typedef {Awaited<ReturnType<typeof git_rebase_commits>>['commits'][number]} RebaseCommit
+ */
+
+/**
+ * Rewords, drops or squashes commits anywhere on the checked out branch, by running an
+ * interactive rebase with a todo list that does just that
+ */
+export default defineComponent({
+	setup() {
+		let error = ref('')
+		/** What the rebase starts from, the parent of the oldest changed commit */
+		let base = ref('')
+		/** @type {import('vue').Ref<RebaseCommit[]>} */
+		let rebase_commits = ref([])
+		/** Those of *rebase_commits* that `commit_rewrite` is about, oldest first */
+		let targets = computed(() =>
+			rebase_commits.value.filter((commit) =>
+				commit_rewrite.value?.hashes.some((hash) => commit.hash_long.startsWith(hash))))
+		let merge_count = ref(0)
+		/** The upstream branch that already contains the changed commits, if any */
+		let pushed_to = ref('')
+		let message = ref('')
+
+		async function load() {
+			if (! commit_rewrite.value)
+				return
+			let { kind, hashes } = commit_rewrite.value
+			let oldest = hashes.length > 1
+				? await git(['merge-base', '--octopus', ...hashes])
+				: hashes[0] || ''
+			// The parent is changed too, as the commit is melded into it
+			if (kind === 'squash-into-parent')
+				oldest += '^'
+			let is_on_branch = await git(['merge-base', '--is-ancestor', oldest, 'HEAD']).then(() => true, () => false)
+			if (! is_on_branch)
+				throw 'Only commits of the checked out branch can be changed'
+			base.value = await git(['rev-parse', '--verify', '--quiet', oldest + '^']).catch(() => '')
+			if (! base.value)
+				throw 'The first commit of the repository cannot be changed this way'
+			let loaded = await git_rebase_commits(base.value)
+			rebase_commits.value = loaded.commits
+			merge_count.value = loaded.merge_count
+			if (targets.value.length !== hashes.length)
+				throw 'Merge commits cannot be changed this way'
+			message.value = targets.value[0]?.message || ''
+			let upstream = await git(['rev-parse', '--abbrev-ref', '@{upstream}']).catch(() => '')
+			if (upstream && await git(['merge-base', '--is-ancestor', oldest, upstream]).then(() => true, () => false))
+				pushed_to.value = upstream
+		}
+		load().catch((e) => {
+			error.value = e.message_error_response || e.message || e
+		})
+
+		let title = computed(() => {
+			let target_hashes = targets.value.map((commit) => commit.hash).join(', ')
+			switch (commit_rewrite.value?.kind) {
+			case 'reword': return `Reword ${target_hashes}`
+			case 'drop': return `Drop ${target_hashes}`
+			case 'squash-into-parent': return `Squash ${target_hashes} into its parent`
+			case 'squash-selected': return `Squash ${targets.value.length} commits into ${targets.value[0]?.hash || ''}`
+			default: return ''
+			}
+		})
+
+		/** @return {RebaseTodoItem[]} */
+		function get_todo() {
+			let target_set = new Set(targets.value)
+			switch (commit_rewrite.value?.kind) {
+			case 'reword':
+				return rebase_commits.value.map((commit) =>
+					target_set.has(commit) ? { action: 'reword', hash: commit.hash, message: message.value } : { action: 'pick', hash: commit.hash })
+			case 'drop':
+				return rebase_commits.value.map((commit) =>
+					({ action: target_set.has(commit) ? 'drop' : 'pick', hash: commit.hash }))
+			case 'squash-into-parent':
+				return rebase_commits.value.map((commit) =>
+					({ action: target_set.has(commit) ? 'squash' : 'pick', hash: commit.hash }))
+			case 'squash-selected': {
+				// The others are moved right after the oldest one, which may cause conflicts
+				let [oldest, ...others] = targets.value
+				return rebase_commits.value.filter((commit) => ! others.includes(commit)).flatMap((commit) => {
+					if (commit !== oldest)
+						return [{ action: 'pick', hash: commit.hash }]
+					return [{ action: 'pick', hash: commit.hash }, ...others.map((other) =>
+						({ action: 'squash', hash: other.hash }))]
+				})
+			}
+			default: return []
+			}
+		}
+
+		let running = ref(false)
+		async function execute() {
+			running.value = true
+			error.value = ''
+			try {
+				await exchange_message('interactive-rebase', { base: base.value, todo: get_todo() })
+				commit_rewrite.value = null
+			} catch (e) {
+				// Also when it stopped because of a conflict, which the main view shows then
+				error.value = e.message_error_response || e.message || e
+			} finally {
+				running.value = false
+			}
+			await refresh_main_view()
+		}
+
+		return {
+			kind: computed(() => commit_rewrite.value?.kind),
+			title,
+			targets,
+			rebase_commits,
+			merge_count,
+			pushed_to,
+			message,
+			error,
+			running,
+			execute,
+		}
+	},
+})
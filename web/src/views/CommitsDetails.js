@@ -1,8 +1,9 @@
 import { ref, computed, defineComponent, watchEffect } from 'vue'
 import { git, exchange_message } from '../bridge.js'
-import { commits_actions } from './store.js'
+import { commits_actions, commit_rewrite, range_diff_ranges } from './store.js'
 import GitActionButton from './GitActionButton.vue'
 import FilesDiffsList from './FilesDiffsList.vue'
+import { changed_files_options, parse_changed_files } from './changed-files.js'
 /**
  * @typedef {import('./types').Commit} Commit
  */
@@ -19,42 +20,47 @@ export default defineComponent({
 		},
 	},
 	setup(props) {
-		/** @type {Ref<{path:string,insertions:number,deletions:number}[]>} */
+		/** @type {Ref<import('./FilesDiffsList').FileDiff[]>} */
 		let comparison_files = ref([])
 		watchEffect(async () => {
 			if (props.commits.length !== 2)
 				return
-			let get_files_command = `-c core.quotepath=false diff --numstat --format="" ${props.commits[0].hash} ${props.commits[1].hash}`
+			let get_files_command = ['-c', 'core.quotepath=false', 'diff', ...changed_files_options, props.commits[0].hash, props.commits[1].hash]
 			// TODO externalize? subcomponent?
-			comparison_files.value = ((await git(get_files_command).maybe()))?.split('\n').map((l) => {
-				let split = l.split('\t')
-				return {
-					path: split[2],
-					insertions: Number(split[1]),
-					deletions: Number(split[0]),
-				}
-			}) || []
+			comparison_files.value = parse_changed_files(await git(get_files_command).maybe() || '')
 		})
 
-		function show_compare_diff(/** @type string */ filepath) {
+		function show_compare_diff(/** @type {import('./FilesDiffsList').FileDiff} */ file) {
 			exchange_message('open-diff', {
 				hashes: [props.commits[0].hash, props.commits[1].hash],
-				filename: filepath,
+				filename: file.path,
+				old_filename: file.old_path,
 			})
 		}
-		function view_rev(/** @type string */ filepath) {
+		function view_rev(/** @type {import('./FilesDiffsList').FileDiff} */ file) {
 			exchange_message('view-rev', {
-				hash: props.commits[1].hash,
-				filename: filepath,
+				// Deleted files only exist in the first one
+				hash: props.commits[file.status === 'D' ? 0 : 1]?.hash,
+				filename: file.path,
 			})
 		}
 		let _commits_actions = computed(() => commits_actions(props.commits.map((c) => c.hash)).value)
+		/** Both commits as tips of versions of a series since their merge base, like `git range-diff A...B` */
+		function show_range_diff() {
+			let [a, b] = props.commits.map((c) => c.hash)
+			range_diff_ranges.value = [`${b}..${a}`, `${a}..${b}`]
+		}
+		function squash_selected() {
+			commit_rewrite.value = { kind: 'squash-selected', hashes: props.commits.map((c) => c.hash) }
+		}
 
 		return {
 			comparison_files,
 			show_compare_diff,
 			view_rev,
 			commits_actions: _commits_actions,
+			squash_selected,
+			show_range_diff,
 		}
 	},
 })
@@ -0,0 +1,69 @@
+import { computed, defineComponent, ref } from 'vue'
+import { exchange_message, git, show_error_message } from '../bridge.js'
+import { git_status, repo_operation, repo_operation_actions, refresh_main_view } from './store.js'
+import { conflict_types } from './git-status.js'
+import GitActionButton from './GitActionButton.vue'
+
+/** @typedef {import('./git-status').StatusFile} StatusFile */
+
+// The conflict types in which each side has a version of the file, i.e. stage 2 or 3 of the index
+let types_with_ours = ['AU', 'UD', 'AA', 'UU']
+let types_with_theirs = ['UA', 'DU', 'AA', 'UU']
+
+/** The unmerged files of the index, each to be resolved one way or another, and the operation that caused them */
+export default defineComponent({
+	components: { GitActionButton },
+	setup() {
+		let conflicts = computed(() =>
+			(git_status.value?.files || [])
+				.filter((file) => file.type === 'unmerged')
+				.map((file) => ({
+					...file,
+					conflict_type: conflict_types[file.index + file.worktree] || 'unmerged',
+					// A side that deleted or never added the file has no version to take
+					has_ours: types_with_ours.includes(file.index + file.worktree),
+					has_theirs: types_with_theirs.includes(file.index + file.worktree),
+				})))
+		// A rebase replays the commits onto the upstream, so git's "ours" and "theirs" are swapped
+		let side_descriptions = computed(() => repo_operation.value === 'rebase'
+			? { ours: 'the upstream that is rebased onto', theirs: 'the commit that is being replayed' }
+			: { ours: 'the checked out branch', theirs: 'the incoming changes' })
+
+		/** The path that a command is running for */
+		let busy_path = ref('')
+		async function run(/** @type string */ path, /** @type {string[][]} */ commands) {
+			busy_path.value = path
+			try {
+				for (let args of commands)
+					await git(args)
+			} catch (e) {
+				show_error_message(e.message_error_response || e.message || e)
+			} finally {
+				busy_path.value = ''
+			}
+			await refresh_main_view()
+		}
+		/** Resolves with the whole file from one side, or by deleting it if that side doesn't have it */
+		function take(/** @type {typeof conflicts.value[number]} */ file, /** @type {'ours' | 'theirs'} */ side) {
+			let has_version = side === 'ours' ? file.has_ours : file.has_theirs
+			if (! has_version)
+				return run(file.path, [['rm', '--quiet', '--', file.path]])
+			return run(file.path, [['checkout', `--${side}`, '--', file.path], ['add', '--', file.path]])
+		}
+		let mark_resolved = (/** @type StatusFile */ file) =>
+			run(file.path, [['add', '--all', '--', file.path]])
+		let open_merge_editor = (/** @type StatusFile */ file) =>
+			exchange_message('open-merge-editor', { filename: file.path })
+
+		return {
+			conflicts,
+			side_descriptions,
+			busy_path,
+			take,
+			mark_resolved,
+			open_merge_editor,
+			repo_operation,
+			repo_operation_actions,
+		}
+	},
+})
@@ -0,0 +1,143 @@
+import { computed, defineComponent, ref, shallowRef, watch } from 'vue'
+import { git } from '../bridge.js'
+import { stateful_computed } from './store.js'
+import { parse_diff, add_word_diffs, diff_segments, split_rows } from './diff-lines.js'
+import { createReusableTemplate } from '@vueuse/core'
+
+/** @typedef {import('./diff-lines').DiffFile} DiffFile */
+/** @template T @typedef {import('vue').WritableComputedRef<T>} WritableComputedRef */
+
+/** @type {WritableComputedRef<'unified'|'split'>} */
+let diff_mode = stateful_computed('diff-view-mode', 'unified')
+/** @type {WritableComputedRef<boolean>} */
+let ignore_whitespace = stateful_computed('diff-view-ignore-whitespace', false)
+
+// Unchanged lines around each change that git includes, of which all but `context_keep` are collapsed
+let context_fetch = 50
+let context_keep = 3
+// Files with more changed lines than this start collapsed when showing all files
+let large_file_lines = 1000
+
+let [TemplateLineTextDefine, TemplateLineTextReuse] = createReusableTemplate()
+
+/** Renders the patch of one or all files of a diff, unified or side by side, with the changed words highlighted */
+export default defineComponent({
+	components: { TemplateLineTextDefine, TemplateLineTextReuse },
+	props: {
+		/** The git command that outputs the patch, e.g. `['diff']` or `['stash', 'show', '--include-untracked']` */
+		command: {
+			/** @type {() => string[]} */
+			type: Array,
+			required: true,
+		},
+		revisions: {
+			/** @type {() => string[]} */
+			type: Array,
+			required: true,
+		},
+		/** Only show this file, or all if empty */
+		path: {
+			type: String,
+			default: '',
+		},
+		/** Where *path* was renamed or copied from, if it was */
+		old_path: {
+			type: String,
+			default: '',
+		},
+	},
+	emits: ['open_diff', 'close'],
+	setup(props) {
+		let error = ref('')
+		let loading = ref(false)
+		/**
+		 * Not deeply reactive, so that `add_word_diffs` can fill them in later
+		 * @type {import('vue').ShallowRef<DiffFile[]>}
+		 */
+		let files = shallowRef([])
+		/** The files that `add_word_diffs` ran for already */
+		let word_diffed_files = new WeakSet()
+		/**
+		 * Large files that were opened by the user although they start collapsed, by their path
+		 * @type {import('vue').Ref<Record<string, boolean>>}
+		 */
+		let opened_large_files = ref({})
+		/**
+		 * Collapsed unchanged lines that were expanded, by their file path, hunk and segment index
+		 * @type {import('vue').Ref<Record<string, boolean>>}
+		 */
+		let expanded_segments = ref({})
+
+		async function load() {
+			loading.value = true
+			error.value = ''
+			expanded_segments.value = {}
+			opened_large_files.value = {}
+			let [subcommand = 'diff', ...command_options] = props.command
+			// Both paths so that git can still detect the rename. `stash show` doesn't accept any.
+			let pathspec = props.path && subcommand !== 'stash'
+				? ['--', props.path, ...props.old_path && props.old_path !== props.path ? [props.old_path] : []]
+				: []
+			try {
+				files.value = parse_diff(await git(['-c', 'core.quotepath=false', subcommand, ...command_options, '--no-color', '--no-ext-diff', '--find-renames', '--find-copies', `--unified=${context_fetch}`, ...ignore_whitespace.value ? ['--ignore-all-space'] : [], ...props.revisions, ...pathspec], { trim: false }))
+			} catch (e) {
+				files.value = []
+				error.value = e.message_error_response || e.message || e
+			} finally {
+				loading.value = false
+			}
+		}
+		watch(() => [props.command.join(' '), props.revisions.join(' '), props.path, props.old_path, ignore_whitespace.value], load, { immediate: true })
+
+		let shown_files = computed(() => {
+			let path_files = props.path
+				? files.value.filter((file) => file.new_path === props.path || file.old_path === props.path)
+				: files.value
+			return path_files.map((file) => {
+				let path = file.new_path || file.old_path || ''
+				let changed_lines_count = file.hunks.reduce((count, hunk) =>
+					count + hunk.lines.filter((line) => line.type === 'added' || line.type === 'removed').length, 0)
+				let is_large = changed_lines_count > large_file_lines
+				let is_open = ! is_large || !! props.path || !! opened_large_files.value[path]
+				if (is_open && ! word_diffed_files.has(file)) {
+					add_word_diffs(file)
+					word_diffed_files.add(file)
+				}
+				let hunks = file.hunks.map((hunk, hunk_i) => ({
+					header: hunk.header,
+					segments: diff_segments(hunk.lines, context_keep).map((segment, segment_i) => {
+						let key = `${path}:${hunk_i}:${segment_i}`
+						return {
+							key,
+							lines: segment.lines,
+							is_collapsed: segment.is_collapsible && ! expanded_segments.value[key],
+							split_rows: diff_mode.value === 'split' ? split_rows(segment.lines) : [],
+						}
+					}),
+				}))
+				let display_path = file.old_path && file.new_path && file.old_path !== file.new_path
+					? `${file.old_path} → ${file.new_path}`
+					: path
+				return { ...file, path, display_path, hunks, changed_lines_count, is_open }
+			})
+		})
+
+		function expand_segment(/** @type string */ key) {
+			expanded_segments.value = { ...expanded_segments.value, [key]: true }
+		}
+		function file_toggled(/** @type string */ path, /** @type Event */ event) {
+			if (event.target instanceof HTMLDetailsElement && event.target.open && ! opened_large_files.value[path])
+				opened_large_files.value = { ...opened_large_files.value, [path]: true }
+		}
+
+		return {
+			diff_mode,
+			ignore_whitespace,
+			error,
+			loading,
+			shown_files,
+			expand_segment,
+			file_toggled,
+		}
+	},
+})
@@ -1,5 +1,5 @@
 import { computed, defineComponent } from 'vue'
-import { exchange_message } from '../bridge.js'
+import { exchange_message, base_url } from '../bridge.js'
 import { stateful_computed, refresh_main_view } from './store.js'
 import { createReusableTemplate } from '@vueuse/core'
 import file_extension_icon_path_mapping from './file-extension-icon-path-mapping.json'
@@ -10,7 +10,14 @@ import file_extension_icon_path_mapping from './file-extension-icon-path-mapping
  *	path: string
  *	insertions: number
  *	deletions: number
+ *	status?: 'A' | 'M' | 'D' | 'R' | 'C' | 'T' | 'U'
+ *	old_path?: string
+ *	is_binary?: boolean
+ *	mode_change?: string
  * }} FileDiff
+ * *path* is the new path, or the old one for deleted files. *old_path* is the path before a rename
+ * or the source of a copy. *status* is git's letter (see `--diff-filter`) and *mode_change*
+ * e.g. `100644 → 100755`, both only if known (see `changed-files.js`).
  */
 /**
  * @typedef {{
@@ -20,13 +27,15 @@ import file_extension_icon_path_mapping from './file-extension-icon-path-mapping
  * }} TreeNode
  */
 
-// Doesn't point to the *actual* publicPath because VSCode proxies this somehow:
-// base_url = process.env.BASE_URL
-// In vue.config.js, it's set to `localhost:8080`, but that is for development only,
-// and on production, the path is not deterministic. Is there a better solution?
-// So we determine manually whatever `view.asWebviewUri` in `extension.js` has yielded this time,
-// in this case by just copying the path from the last <script/> tag:
-let base_url = (document.body.lastElementChild?.attributes.getNamedItem('src')?.value.match(/^(.+)\/js\/.+/)?.[1] || '') + '/'
+let status_infos = {
+	A: { icon: 'diff-added', title: 'Added' },
+	M: { icon: 'diff-modified', title: 'Modified' },
+	D: { icon: 'diff-removed', title: 'Deleted' },
+	R: { icon: 'diff-renamed', title: 'Renamed' },
+	C: { icon: 'copy', title: 'Copied' },
+	T: { icon: 'symbol-misc', title: 'Type changed, e.g. from file to symlink' },
+	U: { icon: 'warning', title: 'Unmerged' },
+}
 
 /** @type {WritableComputedRef<'list'|'tree'>} */
 let render_style = stateful_computed('files-diffs-list-render-style', 'list')
@@ -34,15 +43,21 @@ let render_style = stateful_computed('files-diffs-list-render-style', 'list')
 let [TemplateFileChangeDefine, TemplateFileChangeReuse] = createReusableTemplate()
 let [TemplateFileActionsDefine, TemplateFileActionsReuse] = createReusableTemplate()
 let [TemplateTreeNodeDefine, TemplateTreeNodeReuse] = createReusableTemplate()
+let [TemplateFileStatusDefine, TemplateFileStatusReuse] = createReusableTemplate()
+let [TemplateFileRenamedDefine, TemplateFileRenamedReuse] = createReusableTemplate()
 
 export default defineComponent({
-	components: { TemplateFileChangeDefine, TemplateFileChangeReuse, TemplateFileActionsDefine, TemplateFileActionsReuse, TemplateTreeNodeDefine, TemplateTreeNodeReuse },
+	components: { TemplateFileChangeDefine, TemplateFileChangeReuse, TemplateFileActionsDefine, TemplateFileActionsReuse, TemplateTreeNodeDefine, TemplateTreeNodeReuse, TemplateFileStatusDefine, TemplateFileStatusReuse, TemplateFileRenamedDefine, TemplateFileRenamedReuse },
 	props: {
 		files: {
 			/** @type {() => FileDiff[]} */
 			type: Array,
 			required: true,
 		},
+		heading: {
+			type: String,
+			default: 'Changes',
+		},
 	},
 	emits: ['show_diff', 'view_rev'],
 	setup(props) {
@@ -53,8 +68,16 @@ export default defineComponent({
 				// Icons have to be hardcoded because actual theme integration is more or less impossible:
 				// https://github.com/microsoft/vscode/issues/183893
 				let icon = file_extension_icon_path_mapping[file.path.split('.').at(-1)] || 'default_file.svg'
+				let status_info = file.status ? status_infos[file.status] : null
+				let status_title = [
+					status_info?.title,
+					file.old_path ? `from ${file.old_path}` : '',
+					file.mode_change ? `mode ${file.mode_change}` : '',
+				].filter(Boolean).join(', ')
 				return {
 					...file,
+					status_info,
+					status_title,
 					filename: path_arr.at(-1) || '?',
 					dir: path_arr.slice(0, -1).join('/'),
 					dir_arr: path_arr.slice(0, -1),
@@ -112,8 +135,8 @@ export default defineComponent({
 
 		function show_file(/** @type string */ filepath) {
 			return refresh_main_view({
-				before_execute: (cmd) =>
-					`${cmd} --follow -- "${filepath}"`,
+				before_execute: (args) =>
+					[...args, '--follow', '--', filepath],
 			})
 		}
 
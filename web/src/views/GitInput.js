@@ -1,4 +1,5 @@
-import { git } from '../bridge.js'
+import { git_stream } from '../bridge.js'
+import { parse_command, format_command } from '../git-args.js'
 import { stateful_computed, push_history } from './store.js'
 import { ref, computed, defineComponent, reactive, watchEffect, nextTick, onMounted } from 'vue'
 
@@ -6,6 +7,7 @@ import { ref, computed, defineComponent, reactive, watchEffect, nextTick, onMoun
  * @typedef {import('./types').GitOption} GitOption
  * @typedef {import('./types').ConfigGitAction} ConfigGitAction
  * @typedef {import('./types').GitAction} GitAction
+ * @typedef {import('../git-args').GitCommandStep} GitCommandStep
  */
 /** @template T @typedef {import('vue').Ref<T>} Ref */
 /** @template T @typedef {import('vue').ComputedRef<T>} ComputedRef */
@@ -30,9 +32,38 @@ export let parse_config_actions = (actions, replacements = []) => {
 		description: action.description ? do_replacements(action.description) : undefined,
 		config_key: `action-${namespace}-${action.title}`,
 		params: action.params?.map(do_replacements),
+		placeholders: replacements,
 	}))
 }
 
+/**
+ * Runs the git invocations of a parsed command one after another, with the
+ * same semantics as sh: `;` always runs the next one, `&&` only on success.
+ * Overall, it fails if the last executed one failed.
+ * @param steps {GitCommandStep[]}
+ * @param run {(args: string[]) => Promise<string | void>}
+ */
+async function run_command_steps(steps, run) {
+	/** @type {string[]} */
+	let outputs = []
+	let error = null
+	for (let step of steps) {
+		if (step.operator === '&&' && error)
+			continue
+		try {
+			let output = await run(step.args)
+			if (output)
+				outputs.push(output)
+			error = null
+		} catch (e) {
+			error = e
+		}
+	}
+	if (error)
+		throw error
+	return outputs.join('\n')
+}
+
 export default defineComponent({
 	props: {
 		git_action: {
@@ -129,25 +160,52 @@ export default defineComponent({
 
 		let data = ref('')
 		let error = ref('')
-		/** @param args {{before_execute?: ((cmd: string) => string) | undefined}} */
+		/** Whether an action is being executed that can be cancelled, i.e. not the main log */
+		let running = ref(false)
+		/** @type {AbortController | null} */
+		let abort_controller = null
+		function cancel() {
+			abort_controller?.abort()
+		}
+		/** Live stdout and stderr of the running git process */
+		let output = ref('')
+		// Progress (e.g. `fetch --progress`) is reported by overwriting the current line with \r,
+		// so only show the last version of each line, just like a terminal would
+		let output_lines = computed(() =>
+			output.value.replaceAll('\r\n', '\n').split('\n').map((line) =>
+				line.split('\r').filter(Boolean).pop() || '',
+			).join('\n'))
+		/** @param args {{before_execute?: ((args: string[]) => string[]) | undefined}} */
 		async function execute({ before_execute } = {}) {
 			error.value = ''
-			let _params = params.map((p) => p.replaceAll('\\n', '\n'))
-			if (_params.some((p) => p.match(/"|(\\([^n]|$))/)))
-				error.value = 'Params cannot contain quotes or backslashes.'
-			let cmd = command.value
-			for (let i = 1; i <= _params.length; i++) {
-				while ((pos = cmd.indexOf('$' + i)) > -1)
-					cmd = cmd.slice(0, pos) + _params[i - 1] + cmd.slice(pos + 2)
+			// Params and placeholders are substituted while tokenizing, so they can contain
+			// quotes, `;`, `$` etc. without any escaping: Nothing is ever run through a shell.
+			/** @type {Record<string, string>} */
+			let placeholders = Object.fromEntries(props.git_action.placeholders || [])
+			params.forEach((param, i) =>
+				placeholders['$' + (i + 1)] = param.replaceAll('\\n', '\n'))
+			/** @type {GitCommandStep[]} */
+			let steps = []
+			try {
+				steps = parse_command(command.value, placeholders)
+			} catch (e) {
+				error.value = e.message
+				return
+			}
 			if (before_execute)
-				cmd = before_execute(cmd)
+				steps[steps.length - 1].args = before_execute(steps[steps.length - 1].args)
+			abort_controller = new AbortController()
+			let { signal } = abort_controller
+			output.value = ''
+			running.value = ! props.action
 			let result
 			try {
-				result = await (props.action || git)(cmd)
+				result = await run_command_steps(steps, props.action || ((args) =>
+					git_stream(args, { signal, on_output: (chunk) => output.value += chunk })))
 			} catch (e) {
 				e = e.message_error_response || e.message || e
 				if (e.includes?.('CONFLICT'))
-					error.value = 'Command finished with CONFLICT. You can now close this window and resolve the conflicts manually.\n\n' + e
+					error.value = 'Command finished with CONFLICT. You can now close this window and resolve the conflicts in the details of the uncommitted changes at the top of the graph.\n\n' + e
 				else {
 					if (text_changed.value)
 						error.value = `git command failed. Try clicking RESET and try again!\n\nError message:\n${e}`
@@ -162,8 +220,10 @@ export default defineComponent({
 					emit('success')
 				return
 			} finally {
+				running.value = false
+				abort_controller = null
 				emit('executed')
-				push_history({ type: 'git', value: cmd })
+				push_history({ type: 'git', value: format_command(steps) })
 			}
 			if (! props.hide_result)
 				data.value = result
@@ -189,6 +249,9 @@ export default defineComponent({
 			reset_command,
 			text_changed,
 			execute,
+			running,
+			cancel,
+			output_lines,
 			error,
 			data,
 			is_saved,
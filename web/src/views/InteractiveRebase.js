@@ -0,0 +1,121 @@
+import { computed, defineComponent, ref } from 'vue'
+import { exchange_message, git } from '../bridge.js'
+import { interactive_rebase_base_hash, git_rebase_commits, refresh_main_view } from './store.js'
+
+/**
+ * @typedef {import('@extension/interactive-rebase').RebaseTodoItem} RebaseTodoItem
+ * @typedef {RebaseTodoItem & { subject: string }} TodoEntry
+ */
+
+/** @type {RebaseTodoItem['action'][]} */
+let actions = ['pick', 'reword', 'edit', 'squash', 'fixup', 'drop']
+let action_infos = {
+	pick: 'Keep the commit',
+	reword: 'Keep the commit, but change its message',
+	edit: 'Stop after this commit to amend it',
+	squash: 'Meld into the previous commit, combining both messages',
+	fixup: 'Meld into the previous commit, discarding this message',
+	drop: 'Remove the commit',
+}
+
+/** Edits the todo list of `git rebase -i` for the commits between `interactive_rebase_base_hash` and HEAD */
+export default defineComponent({
+	setup() {
+		let error = ref('')
+		/** Merge commits are skipped by `git rebase -i`, so their changes end up flattened */
+		let merge_count = ref(0)
+		/** @type {import('vue').Ref<TodoEntry[]>} */
+		let todo = ref([])
+		async function load() {
+			let base = interactive_rebase_base_hash.value
+			let is_ancestor = await git(['merge-base', '--is-ancestor', base, 'HEAD']).then(() => true, () => false)
+			if (! is_ancestor) {
+				error.value = `${base} is not part of the checked out branch`
+				return
+			}
+			let rebase_commits = await git_rebase_commits(base)
+			merge_count.value = rebase_commits.merge_count
+			todo.value = rebase_commits.commits.map(({ hash, subject, message }) =>
+				({ action: 'pick', hash, subject, message }))
+			if (! todo.value.length)
+				error.value = 'There are no commits after this one on the checked out branch'
+		}
+		load().catch((e) => {
+			error.value = e.message_error_response || e.message || e
+		})
+
+		function move(/** @type number */ from_i, /** @type number */ to_i) {
+			let entries = todo.value.slice()
+			let [entry] = entries.splice(from_i, 1)
+			if (! entry)
+				return
+			entries.splice(to_i, 0, entry)
+			todo.value = entries
+		}
+		function drop(/** @type number */ to_i, /** @type {import('../directives/drop').DropCallbackPayload} */ { data }) {
+			if (typeof data?.rebase_todo_i === 'number')
+				move(data.rebase_todo_i, to_i)
+		}
+
+		/** The resulting commits, newest first like in the graph */
+		let preview = computed(() => {
+			/** @type {{ hash: string, subject: string, melded: string[], stops: boolean }[]} */
+			let result = []
+			for (let entry of todo.value) {
+				if (entry.action === 'drop')
+					continue
+				let previous = result[result.length - 1]
+				if (entry.action === 'squash' || entry.action === 'fixup') {
+					previous?.melded.push(entry.hash)
+					continue
+				}
+				let subject = entry.action === 'reword' ? entry.message?.split('\n')[0] || '' : entry.subject
+				result.push({ hash: entry.hash, subject, melded: [], stops: entry.action === 'edit' })
+			}
+			return result.reverse()
+		})
+		let validation_error = computed(() => {
+			let first = todo.value.find((entry) => entry.action !== 'drop')
+			if (first?.action === 'squash' || first?.action === 'fixup')
+				return `${first.hash} can't be melded into the base commit, it needs a commit before it`
+			if (todo.value.some((entry) => entry.action === 'reword' && ! entry.message?.trim()))
+				return 'Reworded messages can\'t be empty'
+			return ''
+		})
+
+		let running = ref(false)
+		async function execute() {
+			if (validation_error.value)
+				return
+			running.value = true
+			error.value = ''
+			try {
+				await exchange_message('interactive-rebase', {
+					base: interactive_rebase_base_hash.value,
+					todo: todo.value.map(({ action, hash, message }) => ({ action, hash, message })),
+				})
+				interactive_rebase_base_hash.value = ''
+			} catch (e) {
+				// Also when it stopped because of a conflict, which the main view shows then
+				error.value = e.message_error_response || e.message || e
+			} finally {
+				running.value = false
+			}
+			await refresh_main_view()
+		}
+
+		return {
+			base: interactive_rebase_base_hash,
+			actions,
+			action_infos,
+			todo,
+			merge_count,
+			drop,
+			preview,
+			validation_error,
+			error,
+			running,
+			execute,
+		}
+	},
+})
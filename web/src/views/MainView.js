@@ -1,27 +1,37 @@
 import { ref, computed, watch, nextTick, onMounted } from 'vue'
+import { until } from '@vueuse/core'
 import * as store from './store.js'
 import { show_error_message, add_push_listener } from '../bridge.js'
-import { is_truthy } from './types'
+import { is_truthy, working_tree_hash } from './types'
+import { parse_query, query_log_args_key, add_query_log_args, commit_matches_query, query_suggestions } from './log-query.js'
+import { git_status_summary } from './git-status.js'
 import GitInputModel from './GitInput.js'
 import GitInput from './GitInput.vue'
 import GitActionButton from './GitActionButton.vue'
 import CommitDetails from './CommitDetails.vue'
 import CommitsDetails from './CommitsDetails.vue'
+import WorkingTreeDetails from './WorkingTreeDetails.vue'
 import CommitRow from './CommitRow.vue'
 import AllBranches from './AllBranches.vue'
 import History from './History.vue'
 import SelectedGitAction from './SelectedGitAction.vue'
+import InteractiveRebase from './InteractiveRebase.vue'
+import CommitRewrite from './CommitRewrite.vue'
+import BranchComparison from './BranchComparison.vue'
+import RangeDiff from './RangeDiff.vue'
+import MergePreview from './MergePreview.vue'
 import RefTip from './RefTip.vue'
 import RepoSelection from './RepoSelection.vue'
 
 /**
 * @typedef {import('./types').Commit} Commit
 * @typedef {import('./types').Branch} Branch
+* @typedef {import('./types').VisLine} VisLine
 */
 /** @template T @typedef {import('vue').Ref<T>} Ref */
 
 export default {
-	components: { CommitDetails, CommitsDetails, GitInput, GitActionButton, AllBranches, RefTip, SelectedGitAction, RepoSelection, History, CommitRow },
+	components: { CommitDetails, CommitsDetails, WorkingTreeDetails, GitInput, GitActionButton, AllBranches, RefTip, SelectedGitAction, InteractiveRebase, CommitRewrite, BranchComparison, RangeDiff, MergePreview, RepoSelection, History, CommitRow },
 	setup() {
 		let details_panel_position = computed(() =>
 			store.config.value['details-panel-position'])
@@ -46,12 +56,17 @@ export default {
 		function commit_clicked(/** @type Commit */ commit, /** @type {MouseEvent | undefined} */ event) {
 			if (! commit.hash)
 				return
+			// Not a commit, so it can't be part of a multi selection
+			if (commit === working_tree_commit.value) {
+				selected_commits.value = selected_commit.value === commit ? [] : [commit]
+				return
+			}
 			let selected_index = selected_commits.value.indexOf(commit)
 			if (event?.ctrlKey || event?.metaKey)
 				if (selected_index > -1)
 					selected_commits.value = selected_commits.value.filter((_, i) => i !== selected_index)
 				else
-					selected_commits.value = [...selected_commits.value, commit]
+					selected_commits.value = [...selected_commits.value.filter((c) => c !== working_tree_commit.value), commit]
 			else if (event?.shiftKey) {
 				let total_index = filtered_commits.value.indexOf(commit)
 				let last_total_index = filtered_commits.value.indexOf(selected_commits.value[selected_commits.value.length - 1])
@@ -68,7 +83,7 @@ export default {
 		}
 
 		let txt_filter = ref('')
-		/** @type {Ref<'filter' | 'jump'>} */
+		/** @type {Ref<'filter' | 'jump' | 'contents'>} */
 		let txt_filter_type = ref('filter')
 		let txt_filter_regex = store.stateful_computed('filter-options-regex', false)
 		async function clear_filter() {
@@ -80,23 +95,97 @@ export default {
 		}
 		/** @type {Ref<HTMLElement | null>} */
 		let txt_filter_ref = ref(null)
+		let txt_filter_query = computed(() =>
+			parse_query(txt_filter_type.value === 'contents' ? '' : txt_filter.value))
+		/** @type {Ref<RegExp[]>} See `add_query_log_args` */
+		let txt_filter_hidden_subjects = ref([])
 		function txt_filter_filter(/** @type Commit */ commit) {
-			let search_for = txt_filter.value.toLowerCase()
-			for (let str of [commit.subject, commit.hash_long, commit.author_name, commit.author_email, ...commit.refs.map((r) => r.id)].map((s) => s.toLowerCase()))
-				if (txt_filter_regex.value) {
-					if (str?.match.maybe(search_for))
-						return true
-				} else if (str?.includes(search_for))
-
-					return true
+			return commit_matches_query(commit, txt_filter_query.value, txt_filter_regex.value)
 		}
+		// Some terms are evaluated by git, so the log needs to be reloaded when these change.
+		// Not when jumping though, as that happens within the loaded log.
+		let txt_filter_log_query = computed(() =>
+			txt_filter_type.value === 'filter' ? txt_filter_query.value : parse_query(''))
+		let txt_filter_log_args_key = computed(() =>
+			query_log_args_key(txt_filter_log_query.value, txt_filter_regex.value))
+		let txt_filter_log_args_debouncer = -1
+		watch(txt_filter_log_args_key, () => {
+			window.clearTimeout(txt_filter_log_args_debouncer)
+			txt_filter_log_args_debouncer = window.setTimeout(() => store.refresh_main_view(), 500)
+		})
+		let txt_filter_suggestion_values = computed(() => ({
+			author: [...new Set((store.commits.value || []).map((commit) => commit.author_name))].sort(),
+			ref: [...new Set([
+				...store.branches.value.map((branch) => branch.id),
+				...(store.commits.value || []).flatMap((commit) => commit.refs.filter((ref) => ref.type === 'tag').map((ref) => ref.name)),
+			])].sort(),
+		}))
+		let txt_filter_suggestions = computed(() =>
+			query_suggestions(txt_filter.value, txt_filter_suggestion_values.value))
 		let initialized = computed(() =>
 			!! store.commits.value)
-		let filtered_commits = computed(() => {
-			if (! txt_filter.value || txt_filter_type.value === 'jump')
-				return store.commits.value || []
-			return (store.commits.value || []).filter(txt_filter_filter)
+		/** Without the working tree row */
+		let filtered_log_commits = computed(() => {
+			let commits = store.commits.value || []
+			if (txt_filter_hidden_subjects.value.length)
+				commits = commits.filter((commit) =>
+					! txt_filter_hidden_subjects.value.some((regex) => regex.test(commit.subject)))
+			if (! txt_filter.value || txt_filter_type.value !== 'filter')
+				return commits
+			return commits.filter(txt_filter_filter)
+		})
+		let working_tree_head_i = computed(() =>
+			filtered_log_commits.value.findIndex((commit) =>
+				commit.refs.some((ref) => ref.id === store.head_branch.value)))
+		// Uncommitted changes are shown as a virtual first row whose parent is HEAD, see WorkingTreeDetails
+		let working_tree_commit = computed(() => {
+			let { staged, unstaged, untracked } = store.working_tree_changes.value
+			let files = [...staged, ...unstaged, ...untracked]
+			if (! files.length)
+				return null
+			if (txt_filter.value && txt_filter_type.value === 'filter')
+				return null
+			let head_commit = filtered_log_commits.value[working_tree_head_i.value]
+			let head_line = head_commit?.vis_lines.find((line) => line.branch === head_commit?.branch)
+			// Same as the circle position in SVGVisualization
+			let x = head_line ? (head_line.x0 + head_line.xn + (head_line.xcs || 0) + (head_line.xce || 0)) / 4 : 0
+			/** @type {Commit} */
+			let commit = {
+				i: -1,
+				hash: working_tree_hash,
+				hash_long: working_tree_hash,
+				parent_hashes: head_commit ? [head_commit.hash] : [],
+				author_name: '',
+				author_email: '',
+				refs: [],
+				subject: `Uncommitted changes (${files.length} file${files.length === 1 ? '' : 's'})`,
+				branch: head_commit?.branch,
+				vis_lines: [{ branch: head_commit?.branch, x0: x, xcs: x, xce: x, xn: x, y0: 0.5, ycs: 0.75, yce: 0.75, yn: head_commit ? 1 : 0.5, dashed: true }],
+				// Also prevents `update_commit_stats`
+				stats: {
+					files_changed: files.length,
+					insertions: files.reduce((sum, file) => sum + (file.insertions || 0), 0),
+					deletions: files.reduce((sum, file) => sum + (file.deletions || 0), 0),
+				},
+			}
+			return commit
+		})
+		// The working tree row's line down to HEAD, by row
+		let working_tree_connection_lines = computed(() => {
+			/** @type {Map<Commit, VisLine[]>} */
+			let lines = new Map()
+			let line = working_tree_commit.value?.vis_lines[0]
+			let head_i = working_tree_head_i.value
+			if (! line || head_i < 0)
+				return lines
+			for (let [i, commit] of filtered_log_commits.value.slice(0, head_i + 1).entries())
+				lines.set(commit, [{ ...line, y0: 0, ycs: 0.5, yce: 0.5, yn: i === head_i ? 0.5 : 1 }])
+			return lines
 		})
+		let filtered_commits = computed(() =>
+			working_tree_commit.value
+				? [working_tree_commit.value, ...filtered_log_commits.value]
+				: filtered_log_commits.value)
 		let txt_filter_last_i = -1
 		document.addEventListener('keyup', (e) => {
 			if (e.key === 'F3' || e.ctrlKey && e.key === 'f')
@@ -108,6 +197,8 @@ export default {
 		function txt_filter_enter(/** @type KeyboardEvent */ event) {
 			if (txt_filter_type.value === 'filter')
 				return
+			if (txt_filter_type.value === 'contents')
+				return content_search_enter(event)
 			if (event.shiftKey) {
 				let next = [...filtered_commits.value.slice(0, txt_filter_last_i)].reverse().findIndex(txt_filter_filter)
 				if (next > -1) {
@@ -128,6 +219,125 @@ export default {
 				selected_commits.value = [filtered_commits.value[txt_filter_last_i]]
 			}, 100)
 		}
+
+		// Search mode "contents": git searches the entire log, see `git_search_log`
+		/** @type {Ref<'-S' | '-G' | '--grep'>} */
+		let content_search_kind = store.stateful_computed('content-search-kind', '-S')
+		/** @type {Ref<string[]>} Full hashes of all matching commits, in log order */
+		let content_search_hits = ref([])
+		let content_search_hits_set = computed(() =>
+			new Set(content_search_hits.value))
+		let content_search_hit_i = ref(-1)
+		let content_search_running = ref(false)
+		/** The text that *content_search_hits* belong to, or empty if there was no search yet */
+		let content_search_text = ref('')
+		/** @type {AbortController | null} */
+		let content_search_abort_controller = null
+		function cancel_content_search() {
+			content_search_abort_controller?.abort()
+			content_search_abort_controller = null
+			content_search_running.value = false
+		}
+		watch([txt_filter, txt_filter_type, txt_filter_regex, content_search_kind], () => {
+			cancel_content_search()
+			content_search_hits.value = []
+			content_search_hit_i.value = -1
+			content_search_text.value = ''
+		})
+		async function start_content_search() {
+			cancel_content_search()
+			let abort_controller = content_search_abort_controller = new AbortController()
+			content_search_text.value = txt_filter.value
+			content_search_hits.value = []
+			content_search_hit_i.value = -1
+			content_search_running.value = true
+			try {
+				await store.git_search_log(txt_filter.value, content_search_kind.value, {
+					is_regex: txt_filter_regex.value,
+					signal: abort_controller.signal,
+					on_hits(hashes_long) {
+						content_search_hits.value = content_search_hits.value.concat(hashes_long)
+						if (content_search_hit_i.value === -1)
+							jump_to_content_search_hit(0)
+					},
+				})
+			} catch (e) {
+				if (! abort_controller.signal.aborted)
+					show_error_message('Content search failed: ' + (e.message_error_response || e))
+			} finally {
+				if (content_search_abort_controller === abort_controller) {
+					content_search_abort_controller = null
+					content_search_running.value = false
+				}
+			}
+		}
+		async function jump_to_content_search_hit(/** @type number */ hit_i) {
+			content_search_hit_i.value = hit_i
+			let commit = await find_commit_loading_more(content_search_hits.value[hit_i] || '')
+			if (! commit || content_search_hit_i.value !== hit_i)
+				return
+			selected_commits.value = [commit]
+			scroll_to_commit(commit)
+		}
+		function content_search_enter(/** @type KeyboardEvent */ event) {
+			if (! txt_filter.value)
+				return
+			if (content_search_text.value !== txt_filter.value)
+				return start_content_search()
+			let hits_count = content_search_hits.value.length
+			if (! hits_count)
+				return
+			return jump_to_content_search_hit((content_search_hit_i.value + (event.shiftKey ? -1 : 1) + hits_count) % hits_count)
+		}
+
+		/** The commit may be further down than what has been loaded so far */
+		async function find_commit_loading_more(/** @type string */ hash_long) {
+			let loaded = await store.git_load_log_until_commit(hash_long).maybe()
+			return loaded && filtered_commits.value.find((commit) => commit.hash_long === hash_long)
+		}
+
+		// Sent by the line history command in the editor context menu (extension.js)
+		/** @type {Ref<import('./store').LineRange | null>} */
+		let line_history_request = store.stateful_computed('line-history-request', null)
+		watch(line_history_request, async (request) => {
+			if (! request)
+				return
+			line_history_request.value = null
+			try {
+				await store.git_line_history(request)
+			} catch (e) {
+				return show_error_message('Line history failed: ' + (e.message_error_response || e))
+			}
+			let newest_hash_long = Object.keys(store.line_history.value?.patches || {})[0]
+			if (! newest_hash_long)
+				return
+			await until(initialized).toBe(true)
+			let commit = await find_commit_loading_more(newest_hash_long)
+			if (! commit)
+				return
+			selected_commits.value = [commit]
+			scroll_to_commit(commit)
+		})
+		let line_history_hashes = computed(() =>
+			new Set(Object.keys(store.line_history.value?.patches || {})))
+
+		let git_status_text = computed(() =>
+			store.git_status.value ? git_status_summary(store.git_status.value) : '')
+		let unmerged_count = computed(() =>
+			store.git_status.value?.files.filter((file) => file.type === 'unmerged').length || 0)
+		watch(unmerged_count, (count, previous_count) => {
+			// Show the conflicts panel (in WorkingTreeDetails) as soon as e.g. a merge stops because of them
+			if (count && ! previous_count)
+				selected_commits_hashes.value = [working_tree_hash]
+		})
+		let repo_operation_title = computed(() => {
+			let operation = store.repo_operation.value
+			if (! operation)
+				return ''
+			return `${operation[0]?.toUpperCase()}${operation.slice(1)} in progress` +
+				(unmerged_count.value ? `, ${unmerged_count.value} unmerged file${unmerged_count.value === 1 ? '' : 's'}` : '')
+		})
+
 		watch(txt_filter, () => {
 			if (txt_filter.value)
 				store.push_history({ type: 'txt_filter', value: txt_filter.value })
@@ -136,6 +346,7 @@ export default {
 		function scroll_to_branch_tip(/** @type Branch */ branch) {
 			let first_branch_commit_i = filtered_commits.value.findIndex((commit) => {
 				if (branch.inferred)
+					// The first row with this line is the actual merge commit
 					return commit.vis_lines.some((vis_line) => vis_line.branch === branch)
 				else
 
@@ -143,10 +354,6 @@ export default {
 			})
 			if (first_branch_commit_i === -1)
 				return show_error_message(`No commit found for branch ${branch.id}. Not enough commits loaded?`)
-			if (branch.inferred)
-			// We want to go the the actual merge commit, not the first any-commit where
-			// this line appeared (could be entirely unrelated)
-				first_branch_commit_i--
 			scroll_to_item_centered(first_branch_commit_i)
 			let commit = filtered_commits.value[first_branch_commit_i]
 			// Not only scroll to tip, but also select it, so the behavior is equal to clicking on
@@ -192,7 +399,7 @@ export default {
 			// git internals, but they are completely useless to the user.
 			// Could not find any easy way to skip those other than de-grepping them, TODO:.
 			// Something like `--exclude-commit=stash@{...}^2+` doesn't exist.
-			args: 'log --graph --oneline --date=iso-local --pretty={EXT_FORMAT} -n 15000 --skip=0 --all {STASH_REFS} --color=never --invert-grep --extended-regexp --grep="^untracked files on " --grep="^index on "',
+			args: 'log --parents --topo-order --oneline --date=iso-local --pretty={EXT_FORMAT} -n 15000 --skip=0 --all {STASH_REFS} --color=never --invert-grep --extended-regexp --grep="^untracked files on " --grep="^index on "',
 			options: [
 				{ value: '--decorate-refs-exclude=refs/remotes', default_active: false, info: 'Hide remote branches' },
 				{ value: '--grep="^Merge (remote[ -]tracking )?(branch \'|pull request #)"', default_active: false, info: 'Hide merge commits' },
@@ -206,11 +413,13 @@ export default {
 			immediate: true,
 		}
 		let is_first_log_run = true
-		/* Performance bottlenecks, in this order: Renderer (solved with virtual scroller, now always only a few ms), git cli (depends on both repo size and -n option and takes between 0 and 30 seconds, only because of its --graph computation), processing/parsing/transforming is about 1%-20% of git.
+		/* Performance bottlenecks, in this order: Renderer (solved with virtual scroller, now always only a few ms), git cli (depends on both repo size and -n option; it used to take up to 30 seconds because of its --graph computation, which is why the graph lanes are now computed by ourselves from the parent hashes), processing/parsing/transforming.
     	This function exists so we can modify the args before sending to git, otherwise
     	GitInput would have done the git call  */
-		async function run_log(/** @type string */ log_args) {
-			await store.git_run_log(log_args)
+		async function run_log(/** @type {string[]} */ log_args) {
+			let query_log_args = add_query_log_args(log_args, txt_filter_log_query.value, txt_filter_regex.value)
+			txt_filter_hidden_subjects.value = query_log_args.hidden_subjects
+			await store.git_run_log(query_log_args.args)
 			await new Promise((ok) => setTimeout(ok, 0))
 			if (is_first_log_run) {
 				let first_selected_hash = selected_commits.value[0]?.hash
@@ -237,6 +446,10 @@ export default {
 			scroll_item_offset = start_index
 			let commits_start_index = scroll_item_offset < 3 ? 0 : scroll_item_offset
 			visible_commits.value = filtered_commits.value.slice(commits_start_index, end_index)
+			// Infinite scroll: Fetch the next page in time before the user hits the bottom
+			if (end_index > filtered_commits.value.length - 500)
+				store.git_load_more_log().catch((e) =>
+					show_error_message('Loading more commits failed: ' + (e.message_error_response || e)))
 		}
 		function scroller_on_wheel(/** @type WheelEvent */ event) {
 			if (store.config.value['disable-scroll-snapping'])
@@ -347,13 +560,45 @@ export default {
 			let hash = el.parentElement.dataset.commitHash
 			if (! hash)
 				throw 'commit context menu element has no hash?'
-			return store.commit_actions(hash).value.map((action) => ({
-				label: action.title,
-				icon: action.icon,
-				action() {
-					store.selected_git_action.value = action
+			if (hash === working_tree_hash)
+				return
+			return [
+				...store.commit_actions(hash).value.map((action) => ({
+					label: action.title,
+					icon: action.icon,
+					action() {
+						store.selected_git_action.value = action
+					},
+				})),
+				{
+					label: 'Reword...',
+					icon: 'edit',
+					action() {
+						store.commit_rewrite.value = { kind: 'reword', hashes: [hash] }
+					},
 				},
-			}))
+				{
+					label: 'Squash into parent...',
+					icon: 'fold-down',
+					action() {
+						store.commit_rewrite.value = { kind: 'squash-into-parent', hashes: [hash] }
+					},
+				},
+				{
+					label: 'Drop...',
+					icon: 'trash',
+					action() {
+						store.commit_rewrite.value = { kind: 'drop', hashes: [hash] }
+					},
+				},
+				{
+					label: 'Interactive rebase...',
+					icon: 'list-ordered',
+					action() {
+						store.interactive_rebase_base_hash.value = hash
+					},
+				},
+			]
 		})
 
 		let config_show_quick_branch_tips = computed(() =>
@@ -363,6 +608,8 @@ export default {
 			initialized,
 			details_panel_position,
 			filtered_commits,
+			working_tree_commit,
+			working_tree_connection_lines,
 			branches: store.branches,
 			head_branch: store.head_branch,
 			git_input_ref,
@@ -380,23 +627,48 @@ export default {
 			txt_filter_ref,
 			txt_filter_type,
 			txt_filter_enter,
+			txt_filter_suggestions,
 			clear_filter,
+			content_search_kind,
+			content_search_hits,
+			content_search_hits_set,
+			content_search_hit_i,
+			content_search_running,
+			content_search_text,
+			cancel_content_search,
+			line_history: store.line_history,
+			line_history_hashes,
 			global_actions,
 			combine_branches_to_branch_name: store.combine_branches_to_branch_name,
 			combine_branches_from_branch_name: store.combine_branches_from_branch_name,
 			combine_branches_actions: store.combine_branches_actions,
+			branch_comparison: store.branch_comparison,
+			range_diff_ranges: store.range_diff_ranges,
+			compare_combined_branches() {
+				store.branch_comparison.value = {
+					left: store.combine_branches_to_branch_name.value,
+					right: store.combine_branches_from_branch_name.value,
+				}
+				store.combine_branches_from_branch_name.value = ''
+			},
 			invisible_branch_tips_of_visible_branches,
 			invisible_branch_tips_of_visible_branches_elems,
 			connection_fake_commit,
 			refresh_main_view: store.refresh_main_view,
 			selected_git_action: store.selected_git_action,
+			interactive_rebase_base_hash: store.interactive_rebase_base_hash,
+			commit_rewrite: store.commit_rewrite,
 			commit_context_menu_provider,
-			git_status: store.git_status,
+			git_status_text,
+			repo_operation_title,
+			repo_operation_actions: store.repo_operation_actions,
 			scroller_on_wheel,
 			scroller_on_keydown,
 			config_show_quick_branch_tips,
 			scroll_item_height,
 			txt_filter_regex,
+			loading_more_commits: store.loading_more_commits,
+			log_progress: store.log_progress,
 		}
 	},
 }
@@ -0,0 +1,88 @@
+import { defineComponent, ref, watchEffect } from 'vue'
+import { git } from '../bridge.js'
+
+let sep = '^%^%^%^%^'
+// More aren't helpful in a preview
+let max_commits = 30
+
+/**
+ * What merging *source* into *target* would do, without touching the working tree or index:
+ * Whether it's a fast-forward, which files would conflict (by an in-memory `git merge-tree`)
+ * and which commits it would bring in
+ */
+export default defineComponent({
+	props: {
+		source: { type: String, required: true },
+		target: { type: String, required: true },
+	},
+	setup(props) {
+		/** @type {import('vue').Ref<'loading' | 'up-to-date' | 'fast-forward' | 'clean' | 'conflicts' | 'unknown'>} */
+		let result = ref('loading')
+		/** @type {import('vue').Ref<string[]>} */
+		let conflicting_files = ref([])
+		/** @type {import('vue').Ref<{ hash: string, subject: string }[]>} */
+		let commits = ref([])
+		let commit_count = ref(0)
+		let error = ref('')
+
+		let is_ancestor = (/** @type string */ ancestor, /** @type string */ descendant) =>
+			git(['merge-base', '--is-ancestor', ancestor, descendant]).then(() => true, () => false)
+
+		// Changing the props while git is still running starts another run, which the older one must not overwrite
+		let preview_run_id = 0
+		watchEffect(async () => {
+			let { source, target } = props
+			let run_id = ++preview_run_id
+			result.value = 'loading'
+			conflicting_files.value = []
+			error.value = ''
+			let [log_data, count] = await Promise.all([
+				git(['log', `--max-count=${max_commits}`, `--format=%h${sep}%s`, `${target}..${source}`]).catch(() => ''),
+				git(['rev-list', '--count', `${target}..${source}`]).catch(() => '0'),
+			])
+			if (run_id !== preview_run_id)
+				return
+			commits.value = log_data.split('\n').filter(Boolean).map((line) => {
+				let [hash = '', subject = ''] = line.split(sep)
+				return { hash, subject }
+			})
+			commit_count.value = Number(count) || 0
+			let is_up_to_date = await is_ancestor(source, target)
+			let is_fast_forward = ! is_up_to_date && await is_ancestor(target, source)
+			if (run_id !== preview_run_id)
+				return
+			if (is_up_to_date) {
+				result.value = 'up-to-date'
+				return
+			}
+			if (is_fast_forward) {
+				result.value = 'fast-forward'
+				return
+			}
+			// Exits with 1 if there are conflicts. The first line is the resulting tree, then the conflicting files follow.
+			let merge_tree = await git(['-c', 'core.quotepath=false', 'merge-tree', '--write-tree', '--name-only', '--no-messages', target, source], { allowed_exit_codes: [1] })
+				.catch((e) => {
+					// Requires git 2.38
+					if (run_id === preview_run_id)
+						error.value = e.message_error_response || e.message || e
+					return null
+				})
+			if (run_id !== preview_run_id)
+				return
+			if (merge_tree == null) {
+				result.value = 'unknown'
+				return
+			}
+			conflicting_files.value = merge_tree.split('\n').slice(1).filter(Boolean)
+			result.value = conflicting_files.value.length ? 'conflicts' : 'clean'
+		})
+
+		return {
+			result,
+			conflicting_files,
+			commits,
+			commit_count,
+			error,
+		}
+	},
+})
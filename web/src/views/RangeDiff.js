@@ -0,0 +1,82 @@
+import { defineComponent, ref, watch } from 'vue'
+import { exchange_message, git } from '../bridge.js'
+import { range_diff_ranges } from './store.js'
+import { parse_range_diff } from './range-diff.js'
+import { diff_line_type } from './diff-hunks.js'
+import FilesDiffsList from './FilesDiffsList.vue'
+
+/** @typedef {import('./range-diff').RangeDiffPair} RangeDiffPair */
+
+/** For coloring the status */
+let status_names = { '=': 'same', '!': 'changed', '<': 'removed', '>': 'added' }
+
+/** Two versions of a series of commits, e.g. before and after a rebase, matched commit by commit with `git range-diff` */
+export default defineComponent({
+	components: { FilesDiffsList },
+	emits: ['hash_clicked'],
+	setup() {
+		let old_range = ref(range_diff_ranges.value?.[0] || '')
+		let new_range = ref(range_diff_ranges.value?.[1] || '')
+		let error = ref('')
+		/** @type {import('vue').Ref<RangeDiffPair[]>} */
+		let pairs = ref([])
+		/** @type {import('vue').Ref<RangeDiffPair | null>} */
+		let expanded_pair = ref(null)
+
+		async function load() {
+			error.value = ''
+			pairs.value = []
+			expanded_pair.value = null
+			try {
+				pairs.value = parse_range_diff(await git(['range-diff', '--no-color', old_range.value, new_range.value]))
+			} catch (e) {
+				error.value = e.message_error_response || e.message || e
+			}
+		}
+		load()
+		watch(range_diff_ranges, (ranges) => {
+			if (! ranges)
+				return
+			old_range.value = ranges[0]
+			new_range.value = ranges[1]
+			load()
+		})
+
+		function toggle_pair(/** @type RangeDiffPair */ pair) {
+			expanded_pair.value = expanded_pair.value === pair ? null : pair
+		}
+		/** The file in both versions of the commit */
+		function show_diff(/** @type {import('./FilesDiffsList').FileDiff} */ file) {
+			let pair = expanded_pair.value
+			if (! pair?.old_hash || ! pair.new_hash)
+				return
+			return exchange_message('open-diff', {
+				hashes: [pair.old_hash, pair.new_hash],
+				filename: file.path,
+			})
+		}
+		function view_rev(/** @type {import('./FilesDiffsList').FileDiff} */ file) {
+			let hash = expanded_pair.value?.new_hash || expanded_pair.value?.old_hash
+			if (! hash)
+				return
+			return exchange_message('view-rev', { hash, filename: file.path })
+		}
+		/** Colored by the first diff marker, which is the one of the interdiff */
+		let interdiff_line_type = (/** @type string */ line) =>
+			line.startsWith('@@') ? 'hunk' : diff_line_type(line)
+
+		return {
+			old_range,
+			new_range,
+			error,
+			pairs,
+			expanded_pair,
+			load,
+			toggle_pair,
+			show_diff,
+			view_rev,
+			interdiff_line_type,
+			status_names,
+		}
+	},
+})
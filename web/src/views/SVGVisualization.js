@@ -13,19 +13,26 @@ export default defineComponent({
 		},
 		height: { required: true, type: Number },
 		style: { type: Object },
+		/** Drawn in addition to the commit's own, see `working_tree_connection_lines` in MainView */
+		extra_vis_lines: {
+			/** @type {() => import('./types').VisLine[]} */
+			type: Array,
+			default: () => [],
+		},
 	},
 	setup(props) {
 		let refs_elems
 		let padding_left = 5
 		let lines = computed(() =>
-			props.commit.vis_lines.map((vis_line) => ({
+			props.commit.vis_lines.concat(props.extra_vis_lines).map((vis_line) => ({
 				d: `M${padding_left + vis_line.x0 * vis_v_width.value},${(vis_line.y0 || 0) * props.height} C${padding_left + (vis_line.xcs || 0) * vis_v_width.value},${(vis_line.ycs || 0) * props.height} ${padding_left + (vis_line.xce || 0) * vis_v_width.value},${(vis_line.yce || 0) * props.height} ${padding_left + vis_line.xn * vis_v_width.value},${(vis_line.yn || 0) * props.height}`,
 				vis_line,
 				style: {
 					stroke: vis_line.branch?.color
 				},
 				class: {
-					is_head: vis_line.branch?.id === head_branch.value
+					is_head: vis_line.branch?.id === head_branch.value,
+					dashed: vis_line.dashed,
 				},
 				// https://stackoverflow.com/q/44040163
 				// TODO: Didn't find a working solution yet to fix the gaps between the svg elements.
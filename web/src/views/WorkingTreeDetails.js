@@ -0,0 +1,98 @@
+import { computed, defineComponent, ref } from 'vue'
+import { exchange_message, git, git_with_input, show_error_message } from '../bridge.js'
+import { working_tree_changes, git_status, file_actions, selected_git_action, refresh_main_view } from './store.js'
+import { parse_diff_hunks, hunk_patch, diff_line_type } from './diff-hunks.js'
+import FilesDiffsList from './FilesDiffsList.vue'
+import CommitComposer from './CommitComposer.vue'
+import ConflictsPanel from './ConflictsPanel.vue'
+
+/**
+ * @typedef {'staged' | 'unstaged' | 'untracked'} ChangeKind
+ * @typedef {import('./FilesDiffsList').FileDiff} FileDiff
+ */
+
+/** Details of the virtual row of uncommitted changes at the top of the log */
+export default defineComponent({
+	components: { FilesDiffsList, CommitComposer, ConflictsPanel },
+	setup() {
+		let sections = computed(() => {
+			// These are listed by ConflictsPanel instead
+			let unmerged_paths = new Set((git_status.value?.files || [])
+				.filter((file) => file.type === 'unmerged')
+				.map((file) => file.path))
+			let without_unmerged = (/** @type {FileDiff[]} */ files) =>
+				files.filter((file) => ! unmerged_paths.has(file.path))
+			/** @type {{ kind: ChangeKind, heading: string, files: FileDiff[] }[]} */
+			let all_sections = [
+				{ kind: 'staged', heading: 'Staged changes', files: without_unmerged(working_tree_changes.value.staged) },
+				{ kind: 'unstaged', heading: 'Changes', files: without_unmerged(working_tree_changes.value.unstaged) },
+				{ kind: 'untracked', heading: 'Untracked files', files: working_tree_changes.value.untracked },
+			]
+			return all_sections.filter((section) => section.files.length)
+		})
+
+		function show_diff(/** @type ChangeKind */ kind, /** @type FileDiff */ file) {
+			if (kind === 'untracked')
+				return exchange_message('open-file', { filename: file.path })
+			return exchange_message('open-working-tree-diff', {
+				filename: file.path,
+				staged: kind === 'staged',
+			})
+		}
+		function view_rev(/** @type ChangeKind */ kind, /** @type FileDiff */ file) {
+			// An empty hash means the version in the index. A staged deletion is only left in HEAD,
+			// an unstaged one only in the index.
+			if (kind === 'staged')
+				return exchange_message('view-rev', { hash: file.status === 'D' ? 'HEAD' : '', filename: file.path })
+			if (file.status === 'D')
+				return exchange_message('view-rev', { hash: '', filename: file.path })
+			return exchange_message('open-file', { filename: file.path })
+		}
+		/**
+		 * The file whose hunks are shown for staging or unstaging them one by one
+		 * @type {import('vue').Ref<{ kind: ChangeKind, path: string } & import('./diff-hunks').FileHunks | null>}
+		 */
+		let hunks_file = ref(null)
+		async function load_hunks(/** @type ChangeKind */ kind, /** @type string */ filepath) {
+			let diff = await git(['diff', ...kind === 'staged' ? ['--cached'] : [], '--no-color', '--no-ext-diff', '--', filepath], { trim: false })
+			let file_hunks = parse_diff_hunks(diff)
+			hunks_file.value = file_hunks.hunks.length ? { kind, path: filepath, ...file_hunks } : null
+		}
+		function toggle_hunks(/** @type ChangeKind */ kind, /** @type string */ filepath) {
+			if (hunks_file.value?.kind === kind && hunks_file.value.path === filepath)
+				hunks_file.value = null
+			else
+				return load_hunks(kind, filepath)
+		}
+		/** Stages an unstaged hunk, or unstages a staged one */
+		async function apply_hunk(/** @type import('./diff-hunks').Hunk */ hunk) {
+			let file = hunks_file.value
+			if (! file)
+				return
+			let patch = hunk_patch(file, hunk)
+			try {
+				await git_with_input(['apply', '--cached', ...file.kind === 'staged' ? ['--reverse'] : [], '-'], patch)
+			} catch (e) {
+				show_error_message(e.message_error_response || e.message || e)
+				return
+			}
+			await refresh_main_view()
+			await load_hunks(file.kind, file.path)
+		}
+
+		let _file_actions = computed(() => (/** @type ChangeKind */ kind, /** @type string */ filepath) =>
+			file_actions(kind, filepath).value)
+
+		return {
+			sections,
+			show_diff,
+			view_rev,
+			hunks_file,
+			toggle_hunks,
+			apply_hunk,
+			diff_line_type,
+			file_actions: _file_actions,
+			selected_git_action,
+		}
+	},
+})
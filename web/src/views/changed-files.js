@@ -0,0 +1,66 @@
+/** @typedef {import('./FilesDiffsList').FileDiff} FileDiff */
+
+/**
+ * Options for `git diff`, `git stash show` etc. so that their output can be read by `parse_changed_files`.
+ * Rename and copy detection can be turned off again by appending `--no-renames`.
+ */
+export let changed_files_options = ['--raw', '--numstat', '-z', '--find-renames', '--find-copies']
+
+/** @type {NonNullable<FileDiff['status']>[]} */
+let statuses = ['A', 'M', 'D', 'R', 'C', 'T', 'U']
+/** Mode in `--raw` of a file that doesn't exist on that side */
+let missing_mode = '000000'
+
+/**
+ * @param output {string} Of `git diff` with `changed_files_options`, i.e. the raw entries of all files
+ * (`:old_mode new_mode old_blob new_blob status`, followed by the path(s)) and then their numstat entries
+ * (`insertions\tdeletions\tpath` or, for renames and copies, `insertions\tdeletions\t` followed by both paths),
+ * all separated by NUL
+ * @return {FileDiff[]}
+ */
+export let parse_changed_files = (output) => {
+	let fields = output.split('\0')
+	/** @type {FileDiff[]} */
+	let files = []
+	/** @type {Record<string, FileDiff>} */
+	let files_by_path = {}
+	let i = 0
+	while (i < fields.length) {
+		let field = fields[i++] || ''
+		if (field.startsWith(':')) {
+			let [old_mode = '', new_mode = '', , , status_score = ''] = field.slice(1).split(' ')
+			let status = statuses.find((known) => known === status_score[0]) || 'M'
+			let has_two_paths = status === 'R' || status === 'C'
+			let old_path = has_two_paths ? fields[i++] || '' : ''
+			let path = fields[i++] || ''
+			/** @type {FileDiff} */
+			let file = { path, insertions: 0, deletions: 0, status }
+			if (has_two_paths)
+				file.old_path = old_path
+			if (old_mode !== new_mode && old_mode !== missing_mode && new_mode !== missing_mode)
+				file.mode_change = `${old_mode} → ${new_mode}`
+			files.push(file)
+			files_by_path[path] = file
+			continue
+		}
+		let numstat = field.match(/^(-|\d+)\t(-|\d+)\t(.*)$/)
+		if (! numstat)
+			continue
+		let [, insertions = '', deletions = '', path = ''] = numstat
+		// Renames and copies
+		if (! path) {
+			i++
+			path = fields[i++] || ''
+		}
+		let file = files_by_path[path]
+		if (! file)
+			continue
+		if (insertions === '-')
+			file.is_binary = true
+		else {
+			file.insertions = Number(insertions)
+			file.deletions = Number(deletions)
+		}
+	}
+	return files
+}
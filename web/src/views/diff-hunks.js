@@ -0,0 +1,52 @@
+/**
+ * @typedef {{
+ *	header: string
+ *	lines: string[]
+ * }} Hunk
+ * *header* is the `@@ -1,2 +1,3 @@` line, *lines* are all lines after it until the next hunk.
+ *
+ * @typedef {{
+ *	file_header: string
+ *	hunks: Hunk[]
+ * }} FileHunks
+ * *file_header* is everything before the first hunk (`diff --git ...`, `--- a/...`, `+++ b/...`).
+ */
+
+/**
+ * Splits the output of `git diff` for a single file into its hunks
+ * @param diff {string} Untrimmed, because trailing whitespace can be part of the last line
+ * @return {FileHunks}
+ */
+export let parse_diff_hunks = (diff) => {
+	let lines = diff.replace(/\n$/, '').split('\n')
+	let first_hunk_i = lines.findIndex((line) => line.startsWith('@@'))
+	if (first_hunk_i === -1)
+		return { file_header: diff, hunks: [] }
+	/** @type {Hunk[]} */
+	let hunks = []
+	for (let line of lines.slice(first_hunk_i))
+		if (line.startsWith('@@'))
+			hunks.push({ header: line, lines: [] })
+		else
+			hunks[hunks.length - 1]?.lines.push(line)
+	return { file_header: lines.slice(0, first_hunk_i).join('\n'), hunks }
+}
+
+/**
+ * A patch with only *hunk* of the file, for `git apply`
+ * @param file_hunks {FileHunks}
+ * @param hunk {Hunk}
+ */
+export let hunk_patch = (file_hunks, hunk) =>
+	[file_hunks.file_header, hunk.header, ...hunk.lines, ''].join('\n')
+
+/** For coloring, e.g. as a class */
+export let diff_line_type = (/** @type string */ line) => {
+	if (line.startsWith('+'))
+		return 'added'
+	if (line.startsWith('-'))
+		return 'removed'
+	if (line.startsWith('\\'))
+		return 'meta'
+	return 'context'
+}
@@ -0,0 +1,276 @@
+/**
+ * @typedef {{
+ *	text: string
+ *	is_changed: boolean
+ * }} WordPart
+ *
+ * @typedef {{
+ *	type: 'context' | 'added' | 'removed' | 'meta'
+ *	text: string
+ *	old_no: number | null
+ *	new_no: number | null
+ *	words: WordPart[] | null
+ * }} DiffLine
+ * *text* is without the diff marker. *words* is only set for a changed line that has a counterpart
+ * on the other side, split into the parts that changed and those that didn't, once `add_word_diffs`
+ * ran for its file.
+ *
+ * @typedef {{
+ *	header: string
+ *	lines: DiffLine[]
+ * }} DiffHunk
+ *
+ * @typedef {{
+ *	old_path: string | null
+ *	new_path: string | null
+ *	is_binary: boolean
+ *	meta: string[]
+ *	hunks: DiffHunk[]
+ * }} DiffFile
+ * *old_path* is `null` for added files and *new_path* for deleted ones. *meta* are the extended
+ * header lines such as `new file mode 100644` or `similarity index 90%`.
+ *
+ * @typedef {{
+ *	lines: DiffLine[]
+ *	is_collapsible: boolean
+ * }} DiffSegment
+ *
+ * @typedef {{
+ *	left: DiffLine | null
+ *	right: DiffLine | null
+ * }} SplitRow
+ */
+
+// Beyond this, finding the changed words is too slow and rarely useful anyway
+let max_word_diff_cells = 40000
+
+let unquote = (/** @type string */ path) =>
+	path.replace(/^"(.*)"$/, '$1')
+
+/** Appends *text* to *parts*, merging it into the last part if that has the same *is_changed* */
+let push_part = (/** @type {WordPart[]} */ parts, /** @type string */ text, /** @type boolean */ is_changed) => {
+	let last = parts[parts.length - 1]
+	if (last?.is_changed === is_changed)
+		last.text += text
+	else
+		parts.push({ text, is_changed })
+}
+
+/**
+ * The longest common subsequence of the words of both lines, as the parts that changed and those that didn't
+ * @return {{ old_parts: WordPart[], new_parts: WordPart[] } | null} `null` if the lines have nothing in common
+ */
+export let word_diff = (/** @type string */ old_text, /** @type string */ new_text) => {
+	let a = old_text.match(/\w+|\s+|[^\w\s]/g) || []
+	let b = new_text.match(/\w+|\s+|[^\w\s]/g) || []
+	if (a.length * b.length > max_word_diff_cells)
+		return null
+	// The length of the common subsequence of a.slice(i) and b.slice(j)
+	let width = b.length + 1
+	let lengths = new Uint32Array((a.length + 1) * width)
+	let common_length = (/** @type number */ i, /** @type number */ j) =>
+		lengths[i * width + j] || 0
+	for (let i = a.length - 1; i >= 0; i--)
+		for (let j = b.length - 1; j >= 0; j--)
+			if (a[i] === b[j])
+				lengths[i * width + j] = common_length(i + 1, j + 1) + 1
+			else
+				lengths[i * width + j] = Math.max(common_length(i + 1, j), common_length(i, j + 1))
+	/** @type {WordPart[]} */
+	let old_parts = []
+	/** @type {WordPart[]} */
+	let new_parts = []
+	let has_common_word = false
+	let i = 0
+	let j = 0
+	while (i < a.length || j < b.length) {
+		let old_word = a[i]
+		let new_word = b[j]
+		if (old_word !== undefined && old_word === new_word) {
+			push_part(old_parts, old_word, false)
+			push_part(new_parts, new_word, false)
+			if (old_word.trim())
+				has_common_word = true
+			i++
+			j++
+		} else if (new_word !== undefined && (old_word === undefined || common_length(i, j + 1) >= common_length(i + 1, j))) {
+			push_part(new_parts, new_word, true)
+			j++
+		} else {
+			push_part(old_parts, old_word || '', true)
+			i++
+		}
+	}
+	if (! has_common_word)
+		return null
+	return { old_parts, new_parts }
+}
+
+/** Pairs each block of removed lines with the added lines right after it and sets their *words* */
+let add_line_word_diffs = (/** @type {DiffLine[]} */ lines) => {
+	for (let i = 0; i < lines.length; i++) {
+		if (lines[i]?.type !== 'removed' || lines[i - 1]?.type === 'removed')
+			continue
+		let removed_end = i
+		while (lines[removed_end]?.type === 'removed')
+			removed_end++
+		let added_end = removed_end
+		while (lines[added_end]?.type === 'added')
+			added_end++
+		for (let pair_i = 0; pair_i < Math.min(removed_end - i, added_end - removed_end); pair_i++) {
+			let removed = lines[i + pair_i]
+			let added = lines[removed_end + pair_i]
+			if (! removed || ! added)
+				continue
+			let words = word_diff(removed.text, added.text)
+			removed.words = words?.old_parts || null
+			added.words = words?.new_parts || null
+		}
+	}
+}
+
+/**
+ * @param output {string} Of `git diff` or `git show` for any number of files, untrimmed
+ * @return {DiffFile[]}
+ */
+export let parse_diff = (output) => {
+	/** @type {DiffFile[]} */
+	let files = []
+	let old_no = 0
+	let new_no = 0
+	for (let line of output.replace(/\n$/, '').split('\n')) {
+		if (line.startsWith('diff --git ')) {
+			// Ambiguous with spaces in paths, but the lines below override it when possible
+			let paths = line.match(/^diff --git "?a\/(.+?)"? "?b\/(.+?)"?$/)
+			files.push({ old_path: paths?.[1] || null, new_path: paths?.[2] || null, is_binary: false, meta: [], hunks: [] })
+			continue
+		}
+		let file = files[files.length - 1]
+		if (! file)
+			continue
+		let hunk_header = line.match(/^@@ -(\d+)(?:,\d+)? \+(\d+)(?:,\d+)? @@/)
+		if (hunk_header) {
+			old_no = Number(hunk_header[1])
+			new_no = Number(hunk_header[2])
+			file.hunks.push({ header: line, lines: [] })
+			continue
+		}
+		let hunk = file.hunks[file.hunks.length - 1]
+		if (! hunk) {
+			if (line.startsWith('--- '))
+				file.old_path = line === '--- /dev/null' ? null : unquote(line.slice(4)).replace(/^a\//, '')
+			else if (line.startsWith('+++ '))
+				file.new_path = line === '+++ /dev/null' ? null : unquote(line.slice(4)).replace(/^b\//, '')
+			else if (line.startsWith('Binary files '))
+				file.is_binary = true
+			else {
+				if (line.startsWith('new file mode '))
+					file.old_path = null
+				else if (line.startsWith('deleted file mode '))
+					file.new_path = null
+				else if (line.startsWith('rename from ') || line.startsWith('copy from '))
+					file.old_path = unquote(line.replace(/^(rename|copy) from /, ''))
+				else if (line.startsWith('rename to ') || line.startsWith('copy to '))
+					file.new_path = unquote(line.replace(/^(rename|copy) to /, ''))
+				if (! line.startsWith('index '))
+					file.meta.push(line)
+			}
+			continue
+		}
+		let text = line.slice(1)
+		if (line.startsWith('+'))
+			hunk.lines.push({ type: 'added', text, old_no: null, new_no: new_no++, words: null })
+		else if (line.startsWith('-'))
+			hunk.lines.push({ type: 'removed', text, old_no: old_no++, new_no: null, words: null })
+		else if (line.startsWith('\\'))
+			hunk.lines.push({ type: 'meta', text: line, old_no: null, new_no: null, words: null })
+		else
+			hunk.lines.push({ type: 'context', text, old_no: old_no++, new_no: new_no++, words: null })
+	}
+	return files
+}
+
+/**
+ * Sets the *words* of the changed lines of *file*. Separate from `parse_diff` because it's
+ * slow, so it should only be done for the files that are actually shown.
+ */
+export let add_word_diffs = (/** @type {DiffFile} */ file) => {
+	for (let hunk of file.hunks)
+		add_line_word_diffs(hunk.lines)
+}
+
+/**
+ * Splits the lines of a hunk so that long runs of unchanged lines can be collapsed, except for
+ * *keep* lines next to each change
+ * @param lines {DiffLine[]}
+ * @param keep {number}
+ * @return {DiffSegment[]}
+ */
+export let diff_segments = (lines, keep) => {
+	/** @type {DiffSegment[]} */
+	let segments = []
+	let push_lines = (/** @type {DiffLine[]} */ segment_lines, /** @type boolean */ is_collapsible) => {
+		if (! segment_lines.length)
+			return
+		let last = segments[segments.length - 1]
+		if (last && ! last.is_collapsible && ! is_collapsible)
+			last.lines.push(...segment_lines)
+		else
+			segments.push({ lines: segment_lines, is_collapsible })
+	}
+	let i = 0
+	while (i < lines.length) {
+		let context_end = i
+		while (lines[context_end]?.type === 'context')
+			context_end++
+		if (context_end === i) {
+			push_lines(lines.slice(i, i + 1), false)
+			i++
+			continue
+		}
+		let context = lines.slice(i, context_end)
+		let keep_before = i === 0 ? 0 : keep
+		let keep_after = context_end === lines.length ? 0 : keep
+		// Not worth collapsing just a few lines
+		if (context.length > keep_before + keep_after + 2) {
+			push_lines(context.slice(0, keep_before), false)
+			push_lines(context.slice(keep_before, context.length - keep_after), true)
+			push_lines(context.slice(context.length - keep_after), false)
+		} else
+			push_lines(context, false)
+		i = context_end
+	}
+	return segments
+}
+
+/**
+ * For showing old and new side by side: Unchanged lines are on both sides, removed lines on the
+ * left next to the lines that were added in their place
+ * @return {SplitRow[]}
+ */
+export let split_rows = (/** @type {DiffLine[]} */ lines) => {
+	/** @type {SplitRow[]} */
+	let rows = []
+	/** @type {DiffLine[]} */
+	let removed = []
+	/** @type {DiffLine[]} */
+	let added = []
+	let flush = () => {
+		for (let i = 0; i < Math.max(removed.length, added.length); i++)
+			rows.push({ left: removed[i] || null, right: added[i] || null })
+		removed = []
+		added = []
+	}
+	for (let line of lines)
+		if (line.type === 'removed') {
+			if (added.length)
+				flush()
+			removed.push(line)
+		} else if (line.type === 'added')
+			added.push(line)
+		else {
+			flush()
+			rows.push({ left: line, right: line })
+		}
+	return rows
+}
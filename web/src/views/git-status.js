@@ -0,0 +1,104 @@
+/**
+ * @typedef {{
+ *	type: 'changed' | 'renamed' | 'unmerged' | 'untracked' | 'ignored'
+ *	path: string
+ *	orig_path?: string
+ *	index: string
+ *	worktree: string
+ * }} StatusFile
+ * *index* and *worktree* are the status letters in the index and the working tree (`XY` in
+ * `git status --short`, e.g. `M`, `A`, `D`), `.` if unchanged. For unmerged files, they
+ * tell the conflict type instead, e.g. `UU` for both modified, see `conflict_types`.
+ * *orig_path* is where a renamed or copied file came from.
+ *
+ * @typedef {{
+ *	head: string | null
+ *	oid: string | null
+ *	upstream: string | null
+ *	ahead: number
+ *	behind: number
+ *	files: StatusFile[]
+ * }} GitStatus
+ * *head* is the current branch (`null` if detached), *oid* its commit (`null` before the first commit).
+ * *ahead* and *behind* are relative to *upstream*, if there is one.
+ */
+
+/** The args that `parse_git_status` expects the output of */
+export let git_status_args = ['-c', 'core.quotepath=false', 'status', '--porcelain=v2', '--branch', '-z']
+
+/** @type {Record<string, string>} By the two status letters of unmerged files */
+export let conflict_types = {
+	DD: 'both deleted',
+	AU: 'added by us',
+	UD: 'deleted by them',
+	UA: 'added by them',
+	DU: 'deleted by us',
+	AA: 'both added',
+	UU: 'both modified',
+}
+
+/**
+ * @param data {string} Output of `git status` with `git_status_args`
+ * @return {GitStatus}
+ */
+export let parse_git_status = (data) => {
+	/** @type {GitStatus} */
+	let status = { head: null, oid: null, upstream: null, ahead: 0, behind: 0, files: [] }
+	// With -z, entries are separated by NUL, and the original path of a rename is an entry of its own
+	let entries = data.split('\0')
+	for (let i = 0; i < entries.length; i++) {
+		let entry = entries[i] || ''
+		if (entry.startsWith('# ')) {
+			let [, key, ...values] = entry.split(' ')
+			if (key === 'branch.oid')
+				status.oid = values[0] === '(initial)' ? null : values[0] || null
+			else if (key === 'branch.head')
+				status.head = values[0] === '(detached)' ? null : values[0] || null
+			else if (key === 'branch.upstream')
+				status.upstream = values[0] || null
+			else if (key === 'branch.ab') {
+				status.ahead = Number(values[0]) || 0
+				status.behind = Math.abs(Number(values[1]) || 0)
+			}
+			continue
+		}
+		// The path is always last and may contain spaces, so don't split further than the fields before it
+		let field_count = { 1: 8, 2: 9, u: 10 }[entry[0] || '']
+		if (field_count) {
+			let fields = entry.split(' ')
+			let [index = '.', worktree = '.'] = fields[1] || ''
+			let path = fields.slice(field_count).join(' ')
+			if (entry[0] === '2')
+				status.files.push({ type: 'renamed', path, orig_path: entries[++i] || '', index, worktree })
+			else
+				status.files.push({ type: entry[0] === 'u' ? 'unmerged' : 'changed', path, index, worktree })
+		} else if (entry.startsWith('? '))
+			status.files.push({ type: 'untracked', path: entry.slice(2), index: '?', worktree: '?' })
+		else if (entry.startsWith('! '))
+			status.files.push({ type: 'ignored', path: entry.slice(2), index: '!', worktree: '!' })
+	}
+	return status
+}
+
+/**
+ * A few short lines about *status*, like the header of the human-readable `git status`
+ * @param status {GitStatus}
+ */
+export let git_status_summary = (status) => {
+	let lines = [status.head ? `On branch ${status.head}` : `HEAD detached at ${status.oid?.slice(0, 7) || '(no commit)'}`]
+	if (status.upstream)
+		if (status.ahead || status.behind)
+			lines.push(`${status.ahead} ahead, ${status.behind} behind ${status.upstream}`)
+		else
+			lines.push(`Up to date with ${status.upstream}`)
+	let count = (/** @type {(file: StatusFile) => boolean} */ predicate) =>
+		status.files.filter(predicate).length
+	let counts = [
+		[count((file) => file.type === 'unmerged'), 'unmerged'],
+		[count((file) => file.type !== 'unmerged' && file.index !== '.' && file.index !== '?' && file.index !== '!'), 'staged'],
+		[count((file) => file.type !== 'unmerged' && file.worktree !== '.' && file.worktree !== '?' && file.worktree !== '!'), 'changed'],
+		[count((file) => file.type === 'untracked'), 'untracked'],
+	].filter(([n]) => n)
+	lines.push(counts.length ? counts.map(([n, what]) => `${n} ${what}`).join(', ') : 'Nothing to commit, working tree clean')
+	return lines.join('\n')
+}
@@ -0,0 +1,180 @@
+import { is_truthy } from './types'
+
+// The commit filter box accepts `key:value` terms in addition to free text, e.g.
+// `author:alice after:2024-01-01 before:2024-06-01 path:src/api msg:"fix crash" is:merge ref:release/*`.
+// Terms that git can evaluate itself are passed on to `git log` (`add_query_log_args`), so they
+// also find commits that haven't been loaded. The others are matched against the loaded
+// commits (`commit_matches_query`), just like the free text.
+
+/**
+ * @typedef {import('./types').Commit} Commit
+ *
+ * @typedef {'author' | 'after' | 'before' | 'path' | 'msg' | 'is' | 'ref'} QueryKey
+ *
+ * @typedef {{
+ *	text: string
+ *	terms: { key: QueryKey, value: string }[]
+ * }} Query
+ * *text* is everything that isn't a known `key:value` term, joined with single spaces.
+ */
+
+/** @type {QueryKey[]} */
+export let query_keys = ['author', 'after', 'before', 'path', 'msg', 'is', 'ref']
+/** @type {Record<string, (commit: Commit) => boolean>} */
+let is_predicates = {
+	merge: (commit) => !! commit.merge,
+	stash: (commit) => commit.refs.some((ref) => ref.type === 'stash'),
+	tagged: (commit) => commit.refs.some((ref) => ref.type === 'tag'),
+}
+// These are handled by git, see `add_query_log_args`
+let git_keys = ['author', 'after', 'before', 'path', 'msg']
+
+/** @return {Query} */
+export let parse_query = (/** @type string */ query_text) => {
+	/** @type {Query['terms']} */
+	let terms = []
+	/** @type {string[]} */
+	let text_parts = []
+	// key:value, key:"quoted value", "quoted text" or just a word
+	for (let [match, key, quoted_value, value, quoted_text] of query_text.matchAll(/(\w+):(?:"([^"]*)"?|(\S*))|"([^"]*)"?|\S+/g)) {
+		let query_key = query_keys.find((k) => k === key?.toLowerCase())
+		if (query_key) {
+			// Empty while still typing
+			if (quoted_value || value)
+				terms.push({ key: query_key, value: quoted_value || value || '' })
+		} else
+			text_parts.push(quoted_text ?? match)
+	}
+	return { text: text_parts.filter(Boolean).join(' '), terms }
+}
+
+/**
+ * Changes whenever the args that `add_query_log_args` adds would change
+ * @param query {Query}
+ * @param is_regex {boolean}
+ */
+export let query_log_args_key = (query, is_regex) => {
+	let git_terms = query.terms.filter((term) => git_keys.includes(term.key))
+	return git_terms.length ? JSON.stringify({ git_terms, is_regex }) : ''
+}
+
+/**
+ * @param log_args {string[]} As configured for the main log
+ * @param query {Query}
+ * @param is_regex {boolean} Whether `author` and `msg` are regular expressions, otherwise they're escaped
+ * @return {{ args: string[], hidden_subjects: RegExp[] }} *args* with the git terms of *query*
+ * added. *hidden_subjects* are patterns of commits that git would have hidden with `--invert-grep`,
+ * which has to be removed for `msg` to work, so they need to be hidden by the caller instead.
+ */
+export let add_query_log_args = (log_args, query, is_regex) => {
+	let escape = (/** @type string */ value) =>
+		is_regex ? value : escape_git_regex(value, log_args)
+	/** @type {string[]} */
+	let options = []
+	/** @type {string[]} */
+	let paths = []
+	for (let { key, value } of query.terms)
+		switch (key) {
+		case 'author': options.push(`--author=${escape(value)}`); break
+		case 'after': options.push(`--since=${value}`); break
+		case 'before': options.push(`--until=${value}`); break
+		case 'msg': options.push(`--grep=${escape(value)}`); break
+		case 'path': paths.push(value); break
+		}
+	/** @type {RegExp[]} */
+	let hidden_subjects = []
+	if (! options.length && ! paths.length)
+		return { args: log_args, hidden_subjects }
+	let args = log_args
+	if (query.terms.some((term) => term.key === 'msg') && args.includes('--invert-grep')) {
+		hidden_subjects = args
+			.filter((arg) => arg.startsWith('--grep='))
+			.map((arg) => (() => new RegExp(arg.slice(7), 'm')).maybe())
+			.filter(is_truthy)
+		args = args.filter((arg) => arg !== '--invert-grep' && ! arg.startsWith('--grep='))
+	}
+	if (query.terms.some((term) => term.key === 'author' || term.key === 'msg'))
+		options.push('--regexp-ignore-case')
+	let paths_i = args.includes('--') ? args.indexOf('--') : args.length
+	return {
+		args: [
+			...args.slice(0, paths_i),
+			...options,
+			'--',
+			...args.slice(paths_i + 1),
+			...paths,
+		],
+		hidden_subjects,
+	}
+}
+
+/**
+ * So that *value* is matched literally in git's regex options
+ * @param value {string}
+ * @param log_args {string[]} To tell whether they are basic or extended regular expressions
+ */
+export let escape_git_regex = (value, log_args) => {
+	let is_extended_regex = log_args.some((arg) => arg === '-E' || arg === '--extended-regexp' || arg === '-P' || arg === '--perl-regexp')
+	return value.replace(is_extended_regex ? /[.*+?^${}()|[\]\\]/g : /[.*^$[\]\\]/g, '\\$&')
+}
+
+let glob_to_regex = (/** @type string */ glob) =>
+	new RegExp('^' + glob.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replaceAll('*', '.*') + '$', 'i')
+
+/**
+ * Only checks what git can't, see `add_query_log_args`
+ * @param commit {Commit}
+ * @param query {Query}
+ * @param is_regex {boolean} Whether *query.text* is a regular expression
+ */
+export let commit_matches_query = (commit, query, is_regex) => {
+	for (let { key, value } of query.terms)
+		switch (key) {
+		case 'is':
+			if (! is_predicates[value.toLowerCase()]?.(commit))
+				return false
+			break
+		case 'ref': {
+			let regex = glob_to_regex(value)
+			if (! [commit.branch, ...commit.refs].some((ref) => ref && (regex.test(ref.id) || regex.test(ref.name))))
+				return false
+			break
+		}
+		}
+	if (! query.text)
+		return true
+	let search_for = query.text.toLowerCase()
+	let regex = is_regex ? (() => new RegExp(query.text, 'i')).maybe() : undefined
+	if (is_regex && ! regex)
+		return false
+	return [commit.subject, commit.hash_long, commit.author_name, commit.author_email, ...commit.refs.map((r) => r.id)].some((str) =>
+		regex ? regex.test(str) : str.toLowerCase().includes(search_for))
+}
+
+/**
+ * Completions of the term that is being typed at the end of *query_text*, e.g. `author:Al` → `author:Alice`
+ * @param query_text {string}
+ * @param values {{ author: string[], ref: string[] }}
+ * @return {string[]} Each one is the full new *query_text*
+ */
+export let query_suggestions = (query_text, values) => {
+	let last_term = query_text.match(/(?:^|\s)(\w+):(?:"([^"]*)|(\S*))$/)
+	let key = query_keys.find((k) => k === last_term?.[1]?.toLowerCase())
+	/** @type {string[]} */
+	let completions = []
+	if (last_term && key) {
+		let partial = (last_term[2] ?? last_term[3] ?? '').toLowerCase()
+		let candidates = key === 'is' ? Object.keys(is_predicates) : key === 'author' || key === 'ref' ? values[key] : []
+		completions = candidates
+			.filter((candidate) => candidate.toLowerCase().startsWith(partial))
+			.map((candidate) => `${key}:${/\s/.test(candidate) ? `"${candidate}"` : candidate}`)
+		query_text = query_text.slice(0, query_text.length - last_term[0].trimStart().length)
+	} else {
+		let partial = query_text.match(/\S*$/)?.[0] || ''
+		completions = query_keys
+			.filter((k) => k.startsWith(partial.toLowerCase()))
+			.map((k) => k + ':')
+		query_text = query_text.slice(0, query_text.length - partial.length)
+	}
+	return completions.slice(0, 50).map((completion) => query_text + completion)
+}
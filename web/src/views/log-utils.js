@@ -8,14 +8,6 @@ import { is_truthy, is_branch } from './types'
  * @typedef {import('./types').Commit} Commit
  */
 
-/**
- * @typedef {{
- *	char: string
- *	branch: Branch | null
- * }[]} Vis
- * Chars as they are returned from git, with proper branch association
- */
-
 function git_ref_sort(/** @type {GitRef} */ a, /** @type {GitRef} */ b) {
 	let a_is_tag = a.id.startsWith('tag: ')
 	let b_is_tag = b.id.startsWith('tag: ')
@@ -25,27 +17,80 @@ function git_ref_sort(/** @type {GitRef} */ a, /** @type {GitRef} */ b) {
 	return Number(a_is_tag || ! a.id.startsWith('refs/')) - Number(b_is_tag || ! b.id.startsWith('refs/')) || Number(b_is_tag) - Number(a_is_tag) || a.id.indexOf('/') - b.id.indexOf('/')
 }
 
+/**
+ * @typedef {{
+ *	hash: string
+ *	branch: Branch
+ * } | null} Lane
+ * A lane is a vertical line in the graph that waits for the commit with the full hash *hash*
+ * to appear further down. `null` marks a free slot that can be reused by the next line.
+ *
+ * @typedef {{
+ *	commits: Commit[]
+ *	rows: string[]
+ *	branches: Branch[]
+ *	lanes: Lane[]
+ *	lane_signatures: Record<number, string>
+ *	inferred_branch_count: number
+ * }} Layout
+ * Everything needed to continue parsing with the next page of the same log so that the
+ * branch lines stay connected across page boundaries, or to reuse it after new commits were
+ * added on top. *branches* also includes inferred ones. *rows* are the log lines of *commits*.
+ * *lane_signatures* describe the lanes before some of the commits, by commit index.
+ */
+
+// How often the lane state is recorded for `lane_signatures`
+let lane_signature_interval = 50
+
+let branch_color = (/** @type string */ branch_name) => {
+	switch (branch_name) {
+	case 'master': case 'main': return '#ff3333'
+	case 'development': case 'develop': case 'dev': return '#009000'
+	case 'stage': case 'staging': case 'production': return '#d7d700'
+	default:
+		return colors[Math.abs(branch_name.hashCode() % colors.length)]
+	}
+}
+
 /**
  * @returns all branches and the very
  * data transformed into commits. A commit is git commit info and its vis lines
- * (git graph visual representation branch lines). This vis-branch association
- * extraction is the main purpose of this function.
+ * (graph visual representation branch lines). This vis-branch association
+ * computation is the main purpose of this function.
+ * Lanes are assigned based on the parent hashes (`%P`) alone, so there is no need for
+ * `git log --graph` which is by far the slowest part of loading the log for bigger repos.
  * @param log_data {string}
  * @param branch_data {string}
  * @param stash_data {string}
  * @param separator {string}
  * @param curve_radius {number}
+ * @param previous_layout {Layout=} If passed, *log_data* is treated as the next page of the log
+ * that resulted in *previous_layout*, and *branch_data* is ignored.
+ * @param on_progress {((progress: number, partial: { commits: Commit[], branches: Branch[], substitutes: Record<string, string> }) => any)=}
+ * Called every 1000 rows with the share of rows processed and what has been parsed so far, so that it
+ * can be shown already. *partial* is the same as the result so far, so the commits that are passed
+ * may still change: Their lines are fixed in place when they are found in *substitutes*.
+ * *branches* includes inferred ones.
+ * @param reusable_layout {Layout=} If passed, *log_data* only contains commits that are new since
+ * this layout was parsed. Its rows are appended, but they're only processed until the lanes are the
+ * same as back then, from where on its commits can be reused as is (with a new `i`). The last rows
+ * whose refs have changed need to be updated in *reusable_layout.rows* beforehand and must not be
+ * reused, so they're before *first_reusable_i*.
+ * @param first_reusable_i {number=}
  */
-function parse(log_data, branch_data, stash_data, separator, curve_radius) {
+function parse(log_data, branch_data, stash_data, separator, curve_radius, previous_layout, on_progress, reusable_layout, first_reusable_i = 0) {
 	let rows = log_data.split('\n')
+	let new_rows_count = rows.length
+	if (reusable_layout)
+		rows = rows.concat(reusable_layout.rows)
 
 	/** @type {Branch[]} */
-	let branches = []
+	let branches = previous_layout?.branches.slice() || []
 	function new_branch(/** @type string */ branch_name, /** @type string= */ remote_name, /** @type string= */ tracking_remote_name) {
 		/** @type Branch */
 		let branch = {
 			name: branch_name,
-			color: undefined,
+			color: branch_color(branch_name),
 			type: 'branch',
 			remote_name,
 			tracking_remote_name,
@@ -55,54 +100,159 @@ function parse(log_data, branch_data, stash_data, separator, curve_radius) {
 		return branch
 	}
 
-	for (let branch_line of branch_data.split('\n')) {
-		// origin-name{SEP}refs/heads/local-branch-name
-		// {SEP}refs/remotes/origin-name/remote-branch-name
-		let [tracking_remote_branch_name, ref_name] = branch_line.split(separator)
-		if (ref_name.startsWith('refs/heads/'))
-			new_branch(ref_name.slice(11), undefined, tracking_remote_branch_name)
-		else {
-			[remote_name, ...remote_branch_name_parts] = ref_name.slice(13).split('/')
-			new_branch(remote_branch_name_parts.join('/'), remote_name)
+	if (! previous_layout) {
+		for (let branch_line of branch_data.split('\n')) {
+			// origin-name{SEP}refs/heads/local-branch-name
+			// {SEP}refs/remotes/origin-name/remote-branch-name
+			let [tracking_remote_branch_name, ref_name] = branch_line.split(separator)
+			if (ref_name.startsWith('refs/heads/'))
+				new_branch(ref_name.slice(11), undefined, tracking_remote_branch_name)
+			else {
+				let [remote_name, ...remote_branch_name_parts] = ref_name.slice(13).split('/')
+				new_branch(remote_branch_name_parts.join('/'), remote_name)
+			}
 		}
+		// Not actually a branch but since it's included in the log refs and is neither stash nor tag
+		// and checking it out works, we can just treat it as one:
+		new_branch('HEAD')
+	}
+
+	// Inferred branches are numbered, and these numbers must stay unique across pages and reuses
+	let inferred_branch_count = previous_layout?.inferred_branch_count || reusable_layout?.inferred_branch_count || 0
+
+	/** @return {Branch} */
+	function new_inferred_merge_branch(/** @type string */ merge_subject) {
+		// The actual branch name isn't known for sure yet: It will either a.) be visible with a branch tip
+		// further down or never directly exposed, in which case we'll b.) try to infer it from the
+		// merge commit message, or if failing to do so, c.) create a inferred branch without name.
+		// b.) and c.) will be overwritten again if a.) occurs [see "inferred substitute"].
+		let branch = null
+		let subject_merge_match = merge_subject.match(/^Merge (?:(?:remote[ -]tracking )?branch '([^ ]+)'.*)|(?:pull request #[0-9]+ from (.+))$/)
+		if (subject_merge_match) {
+			let branch_id = (subject_merge_match[1] || subject_merge_match[2]) + '~' + inferred_branch_count++
+			let split = branch_id.split('/')
+			branch = new_branch(split.at(-1) || '', split.slice(0, split.length - 1).join('/'))
+		} else
+			branch = new_branch(`~${inferred_branch_count++}`)
+		branch.inferred = true
+		return branch
+	}
+
+	// Short hashes. Stashes come with 1-2 extra parents (index and untracked files) that are
+	// never shown, so only their first parent is connected.
+	/** @type {Map<string, string>} stash name (e.g. `stash@{11}`) by short hash */
+	let stash_names = new Map()
+	for (let stash of (stash_data || '').split('\n')) {
+		// 7c37db63 stash@{11}
+		let [stash_hash = '', ...name_parts] = stash.split(' ')
+		if (stash_hash)
+			stash_names.set(stash_hash, name_parts.join(' '))
 	}
-	// Not actually a branch but since it's included in the log refs and is neither stash nor tag
-	// and checking it out works, we can just treat it as one:
-	new_branch('HEAD')
 
 	/** @type {Commit[]} */
-	let commits = []
+	let commits = previous_layout?.commits.slice() || []
+	/** @type {string[]} */
+	let commit_rows = previous_layout?.rows.slice() || []
+	/**
+	 * Where the commits taken from *reusable_layout* start, if any: *commit_i* in *commits*, and
+	 * *reusable_i* in *reusable_layout.commits*.
+	 * @type {{ commit_i: number, reusable_i: number } | null}
+	 */
+	let reused = null
 
-	/** @type Vis */
-	let last_vis = []
+	/** @type {Lane[]} */
+	let lanes = previous_layout?.lanes.slice() || []
+	/** @type {Record<number, string>} */
+	let lane_signatures = { ...previous_layout?.lane_signatures }
+	let lane_signature = () =>
+		lanes.map((lane) => lane ? lane.hash + ' ' + lane.branch.id : '').join()
+	function free_lane_index() {
+		let index = lanes.indexOf(null)
+		return index > -1 ? index : lanes.length
+	}
+	// Lanes are two units apart, just like the columns of `git log --graph` (line char + space)
+	let lane_x = (/** @type number */ lane_index) =>
+		lane_index * 2 + 0.5
+	/**
+	 * All lines enter and leave rows vertically, so the control points are simply placed
+	 * straight below the start and above the end point, respectively. This way, connections
+	 * between rows are always smooth, and a *curve_radius* of 0 yields straight lines.
+	 * @return {VisLine}
+	 */
+	function vis_line(/** @type Branch */ branch, /** @type number */ x0, /** @type number */ y0, /** @type number */ xn, /** @type number */ yn) {
+		return {
+			branch,
+			x0,
+			y0,
+			xn,
+			yn,
+			xcs: x0,
+			ycs: y0 + (yn - y0) * curve_radius,
+			xce: xn,
+			yce: yn - (yn - y0) * curve_radius,
+		}
+	}
 
 	/**
-	 * vis svg lines are accumulated possibly spanning multiple output rows until
-     * there is a commit ("*") in which case the lines are saved as collected.
-     * This means that we only show commit rows and the various connection lines are
-     * densened together.
-     * @type {Record<string, VisLine>}
+	 * Branches whose lines had been shown with an inferred branch that turned out to be wrong
+	 * by the time their actual branch tip appeared. Wrong id -> right id.
+	 * @type {Record<string, string>}
 	 */
-	let densened_vis_line_by_branch_id = {}
-	/** @type {Record<string, VisLine>} */
-	let last_densened_vis_line_by_branch_id = {}
-	/** @type {Record<string, number>} */
-	let xn_by_branch_id = {}
+	let substitutes = {}
 
-	let graph_chars = ['*', '\\', '/', ' ', '_', '|', /* rare: */ '-', '.']
-	let hash = '' // Fixing type error idk
-	for (let [row_no, row] of Object.entries(rows)) {
-		if (row === '... ')
-			continue // with `--follow -- pathname`, this can happen even though we're specifying a strict --format.
+	/**
+	 * Appends the commits of *layout* starting at *start_i*. Everything about them stays the same because
+	 * the lanes are the same, only the branch objects need to be swapped with the current ones.
+	 */
+	function reuse_commits(/** @type {Layout} */ layout, /** @type {number} */ start_i) {
+		/** @type {Record<string, Branch>} */
+		let branch_by_id = Object.fromEntries(branches.map((branch) => [branch.id, branch]))
+		function current_branch(/** @type {Branch} */ branch) {
+			if (! branch_by_id[branch.id]) {
+				// Inferred branches that were created further down
+				branches.push(branch)
+				branch_by_id[branch.id] = branch
+			}
+			return branch_by_id[branch.id]
+		}
+		reused = { commit_i: commits.length, reusable_i: start_i }
+		let offset = commits.length - start_i
+		for (let commit of layout.commits.slice(start_i))
+			commits.push({
+				...commit,
+				i: commit.i + offset,
+				branch: commit.branch && current_branch(commit.branch),
+				vis_lines: commit.vis_lines.map((vis_line) => ({
+					...vis_line,
+					branch: vis_line.branch && current_branch(vis_line.branch),
+				})),
+				refs: commit.refs.map((ref) => is_branch(ref) ? current_branch(ref) : ref),
+			})
+		commit_rows.push(...layout.rows.slice(start_i))
+		for (let [i, signature] of Object.entries(layout.lane_signatures))
+			if (Number(i) >= start_i)
+				lane_signatures[Number(i) + offset] = signature
+		lanes = layout.lanes.map((lane) => lane && { ...lane, branch: current_branch(lane.branch) })
+	}
+
+	for (let [row_i, row] of rows.entries()) {
+		if (row_i % 1000 === 0)
+			on_progress?.(row_i / rows.length, { commits, branches, substitutes })
 		// Example row:
-		// | | | * {SEP}fced73efd3eb8012953ddc0e533c7a4ec64f0b46#{SEP}fced73ef{SEP}phil294{SEP}e@mail.com{SEP}1557084465{SEP}HEAD -> master, origin/master, tag: xyz{SEP}Subject row
-		// but can be anything due to different user input.
-		// The vis part could be colored by supplying option `--color=always` in MainView.vue, but
-		// this is not helpful as these colors are non-consistent and not bound to any branches
-		let [vis_str = '', hash_long = '', hash = '', author_name = '', author_email = '', iso_datetime = '', refs_csv = '', subject = ''] = row.split(separator)
-		// Much, much slower than everything else so better not log
-		// if vis_str.at(-1) != ' '
-		// 	console.warn "unknown git graph syntax returned at row " + row_no
+		// {SEP}fced73efd3eb8012953ddc0e533c7a4ec64f0b46{SEP}fced73ef{SEP}phil294{SEP}e@mail.com{SEP}2019-05-05 21:27:45 +0200{SEP}HEAD -> master, origin/master, tag: xyz{SEP}3a0b2c4... 9d1e0f5...{SEP}Subject row
+		// Anything before the first separator is ignored, so a leftover `--graph` in custom log args does no harm.
+		let [, hash_long = '', hash = '', author_name = '', author_email = '', iso_datetime = '', refs_csv = '', parent_hashes_str = '', subject = ''] = row.split(separator)
+		if (! hash_long)
+			continue // e.g. `... ` with `--follow -- pathname` or connection-only rows of `--graph`
+		if (reusable_layout && row_i >= new_rows_count) {
+			let reusable_i = row_i - new_rows_count
+			if (reusable_i >= first_reusable_i && reusable_layout.lane_signatures[reusable_i] === lane_signature()) {
+				reuse_commits(reusable_layout, reusable_i)
+				break
+			}
+		}
+		if (commits.length % lane_signature_interval === 0)
+			lane_signatures[commits.length] = lane_signature()
 		let refs = refs_csv
 			.split(', ')
 			// map to ["master", "origin/master", "tag: xyz"]
@@ -129,281 +279,146 @@ function parse(log_data, branch_data, stash_data, separator, curve_radius) {
 						return undefined
 					}
 				}
-		}).filter(is_truthy)
-		.sort(git_ref_sort)
-		let branch_tips = refs
-			.filter(is_branch)
-		let branch_tip = branch_tips[0]
-
-		/** @type {typeof graph_chars} */
-		let vis_chars = vis_str.trimEnd().split('')
-		if (vis_chars.some((v) => ! graph_chars.includes(v)))
-			throw new Error(`Could not parse output of GIT LOG (line:${row_no}). Did you change the command by hand? Please in the main view at the top left, click \"Configure\", then at the top right click "Reset", then "Save" and try again. If this didn't help, it might be a bug! Please open up a GitHub issue.`)
+			}).filter(is_truthy)
+			.sort(git_ref_sort)
+		let branch_tip = refs.filter(is_branch)[0]
+		let parent_hashes = parent_hashes_str.split(' ').filter(Boolean)
+		let stash_name = stash_names.get(hash)
+		if (stash_name != null) {
+			parent_hashes = parent_hashes.slice(0, 1)
+			// stashes were queried (git reflog show stash) but shown as commits. Need to add refs:
+			refs.push({
+				name: stash_name,
+				id: stash_name,
+				type: 'stash',
+				color: '#fff',
+			})
+		}
 		// format %ad with --date=iso-local returns something like 2021-03-02 15:59:43 +0100
-		let datetime = iso_datetime?.slice(0, 19)
-		/**
-		 * We only keep track of the chars used by git output to be able to reconstruct
-         * branch lines accordingly, as git has no internal concept of this.
-         * This is achieved by comparing the vis chars to its neighbors (`last_vis`).
-         * Once this process is complete, the vis chars are dismissed and we only keep the
-         * vis lines per commit spanning 1-n rows to be rendered eventually.
-         * @type Vis
-		 */
-		let vis = []
-		/** @type {Branch|undefined} */
-		let commit_branch
-		for (let [i, char] of Object.entries(vis_chars).reverse()) {
-			/** @type {Branch | null | undefined } */
-			let v_branch
-			let v_n = last_vis[i]
-			let v_nw = last_vis[i - 1]
-			let v_w_char = vis_chars[i - 1]
-			let v_ne = last_vis[i + 1]
-			let v_nee = last_vis[i + 2]
-			let v_e = vis[i + 1]
-			let v_ee = vis[i + 2]
-			/** Parsing from top to bottom (reverse chronologically). The flow is
-             * generally rtl horizontally. So for example, the "/" char would direct the
-             * branch line from top right to bottom left and thus yield a {x0:1,xn:0} vis line.
-             * @type VisLine  */
-			let vis_line = {}
-			switch (char) {
-			case '*':
-				if (branch_tip) {
-					v_branch = branch_tip
-					if (v_nw?.char === '\\') {
-						// This is branch tip but in previous above lines, this branch
-						// may already have been on display for merging without its actual name known (inferred substitute).
-						// Fix these lines (min 1) now
-						let wrong_branch = v_nw?.branch
-						if (wrong_branch) {
-							let k = commits.length - 1
-							while ((let wrong_branch_matches = commits[k]?.vis_lines.filter((v) => v.branch === wrong_branch))?.length) {
-								for (wrong_branch_match of wrong_branch_matches || [])
-									wrong_branch_match.branch = v_branch
-								k--
-							}
-							branches.splice(branches.indexOf(wrong_branch), 1)
-						}
-					}
-				} else if (v_n?.branch)
-					v_branch = v_n?.branch
-				else if (v_nw?.char === '\\')
-					v_branch = v_nw?.branch
-				else if (v_ne?.char === '/')
-					v_branch = v_ne?.branch
-				else {
-					// Stashes
-					v_branch = new_branch(`inferred~${branches.length - 1}`)
-					v_branch.inferred = true
-				}
-				commit_branch = v_branch || undefined
-				vis_line = { x0: 0.5, xn: 0.5 }
-				if (! last_vis[i] || ! last_vis[i].char || last_vis[i].char === ' ')
-					// Branch or inferred branch starts here visually (ends here logically)
-					vis_line.y0 = 0.5
-					break
-			case '|':
-				if (v_n?.branch)
-					v_branch = v_n?.branch
-				else if (v_nw?.char === '\\')
-					v_branch = v_nw?.branch
-				else if (v_ne?.char === '/')
-					v_branch = v_ne?.branch
-				vis_line = { x0: 0.5, xn: 0.5, yn: 0.5 }
-				break
-			case '_':
-				v_branch = v_ee?.branch
-				vis_line = { x0: 1, xn: 0 }
-				break
-			case '/':
-				if (v_ne?.char === '*')
-					v_branch = v_ne?.branch
-				else if (v_ne?.char === '|')
-					if (v_nee?.char === '/' || v_nee?.char === '_')
-						v_branch = v_nee?.branch
-					else
-
-						v_branch = v_ne?.branch
-				else if (v_ne?.char === '/')
-					v_branch = v_ne?.branch
-				else if (v_n?.char === '\\' || v_n?.char === '|')
-					v_branch = v_n?.branch
-				vis_line = { x0: 1, xn: -0.5, xce: 0.5 }
-				break
-			case '\\':
-				if (v_e?.char === '|')
-					v_branch = v_e?.branch
-				else if (v_w_char === '|') {
-					// right before (chronologically) a merge commit (which would be at v_nw).
-					let last_commit = commits.at(-1)
-					if (last_commit)
-						last_commit.merge = true
-					// The actual branch name isn't known for sure yet: It will either a.) be visible with a branch tip
-					// in the next commit or never directly exposed, in which case we'll b.) try to infer it from the
-					// merge commit message, or if failing to do so, c.) create a inferred branch without name.
-					// b.) and c.) will be overwritten again if a.) occurs [see "inferred substitute"].
-					if (let subject_merge_match = last_commit?.subject.match(/^Merge (?:(?:remote[ -]tracking )?branch '([^ ]+)'.*)|(?:pull request #[0-9]+ from (.+))$/)) {
-						let branch_id = (subject_merge_match[1] || subject_merge_match[2]) + '~' + (branches.length - 1)
-						let split = branch_id.split('/')
-						if (split.length)
-							v_branch = new_branch(split.at(-1) || '', split.slice(0, split.length - 1).join('/'))
-						else
+		let datetime = iso_datetime.slice(0, 19)
 
-							v_branch = new_branch(branch_id)
-					} else
-
-						v_branch = new_branch(`~${branches.length - 1}`)
-					v_branch.inferred = true
-				} else if (v_nw?.char === '|' || v_nw?.char === '\\')
-					v_branch = v_nw?.branch
-				else if (v_nw?.char === '.' || v_nw?.char === '-') {
-					k = i - 2
-					while ((w_char_match = last_vis[k])?.char === '-')
-						k--
-					v_branch = w_char_match.branch
-				} else if (v_nw?.char === '.' && last_vis[i - 2].char === '-')
-					v_branch = last_vis[i - 3].branch
-				vis_line = { x0: -0.5, xn: 1 }
-				break
-			case ' ': case '.': case '-':
-				v_branch = null
-			}
-			// An extended testing period has not revealed any reported problems with the above parsing code
-			// so we can consider it reasonably stable and expect no errors. This means the parser can be made
-			// more fault-tolerant now to allow for more exotic custom log args and also ` -- filename` show syntax which omits many critical connection lines.
-			// if v_branch == undefined
-			// 	throw new Error "could not identify branch in row #{row_no} at char #{i}"
-			vis[i] = {
-				char,
-				branch: v_branch || null,
+		// All lanes that have been waiting for this commit. The leftmost one continues, the others end here.
+		let arriving_lane_indices = lanes.flatMap((lane, i) =>
+			lane?.hash === hash_long ? [i] : [])
+		let commit_lane_index = arriving_lane_indices[0] ?? free_lane_index()
+		let commit_lane = lanes[commit_lane_index]
+		let commit_branch = commit_lane?.branch || branch_tip
+		if (! commit_branch) {
+			// Stashes
+			commit_branch = new_branch(`inferred~${inferred_branch_count++}`)
+			commit_branch.inferred = true
+		} else if (commit_branch.inferred && branch_tip) {
+			// This is branch tip but in previous rows, this branch may already have been on display
+			// for merging without its actual name known (inferred substitute). Fix these lines now
+			let wrong_branch = commit_branch
+			let k = commits.length - 1
+			let wrong_branch_matches = []
+			while ((wrong_branch_matches = commits[k]?.vis_lines.filter((v) => v.branch === wrong_branch) || []).length) {
+				for (let wrong_branch_match of wrong_branch_matches)
+					wrong_branch_match.branch = branch_tip
+				k--
 			}
+			branches.splice(branches.indexOf(wrong_branch), 1)
+			substitutes[wrong_branch.id] = branch_tip.id
+			commit_branch = branch_tip
+		}
 
-			if (v_branch) {
-				vis_line.x0 += i
-				vis_line.xn += i
-				if (vis_line.xcs != null)
-					vis_line.xcs += i
-				if (vis_line.xce != null)
-					vis_line.xce += i
-				if (densened_vis_line_by_branch_id[v_branch.id]) {
-					densened_vis_line_by_branch_id[v_branch.id].xn = vis_line.xn
-					densened_vis_line_by_branch_id[v_branch.id].xce = vis_line.xce
-				} else {
-					vis_line.branch = v_branch
-					densened_vis_line_by_branch_id[v_branch.id] = vis_line
-				}
-				xn_by_branch_id[v_branch.id] = vis_line.xn
-			}
+		let x = lane_x(commit_lane_index)
+		/** @type {VisLine[]} */
+		let vis_lines = [
+			// Branch or inferred branch starts here visually (ends here logically) if the lane is new
+			vis_line(commit_branch, x, commit_lane ? 0 : 0.5, x, parent_hashes.length ? 1 : 0.5),
+		]
+		for (let [i, lane] of lanes.entries()) {
+			if (! lane || i === commit_lane_index)
+				continue
+			if (lane.hash === hash_long) {
+				vis_lines.push(vis_line(lane.branch, lane_x(i), 0, x, 0.5))
+				lanes[i] = null
+			} else
+				vis_lines.push(vis_line(lane.branch, lane_x(i), 0, lane_x(i), 1))
 		}
-		if (subject) {
-			// After 1-n parsed rows, we have now arrived at what will become one row
-			// in *our* application too.
-			for (let [branch_id, vis_line] of Object.entries(densened_vis_line_by_branch_id)) {
-				if (vis_line.y0 == null)
-					vis_line.y0 = 0
-				if (vis_line.yn == null)
-					vis_line.yn = 1
-				if (vis_line.xce == null)
-					// We don't know yet if this line is the last one of rows for this branch
-					// or if more will be to come. The latter case is handled later, so for the former
-					// case to look nice, some downwards angle is added by default by moving the end
-					// control point upwards. This makes sense because the last line is the birth
-					// spot and branches are always based on another branch, so this draws an
-					// upwards splitting effect
-					vis_line.xce = vis_line.xn
-				if (vis_line.yce == null)
-					vis_line.yce = 1 - curve_radius / 2 // Must not be too strong
-				// Make connection to previous row's branch line curvy?
-				if (last_vis_line = last_densened_vis_line_by_branch_id?.[branch_id]) {
-					// So far, a line is simply defined as the connection between x0 and xn with
-					// y0 and y1 being 0 and 1, respectively. The lines all connect to each
-					// other. But between them, there is no curvature yet (hard edge).
-					// Determining two control points near this junction:
-					// (see VisLine JSDoc for naming info)
-					let last_xce = last_vis_line.x0 + (last_vis_line.xn - last_vis_line.x0) * (1 - curve_radius)
-					let xcs = vis_line.x0 + (vis_line.xn - vis_line.x0) * curve_radius
-					// ...and the strategy for creating a curve is to mark the control points fixed
-					// but move the actual junction point's x toward the average between both control
-					// points:
-					let middle_x = (xcs + last_xce) / 2
-					last_vis_line.xn = middle_x
-					last_vis_line.xce = last_xce
-					last_vis_line.yce = 1 - curve_radius
-					last_vis_line.yn = 1
-					vis_line.x0 = middle_x
-					vis_line.xcs = xcs
-					vis_line.ycs = curve_radius
-				} else {
-					if (vis_line.xcs == null)
-						// First time this branch appeared
-						if (vis_line.xn > vis_line.x0)
-							// so we want an upwards curvature, just like
-							// the logic around initializing xce at '/' above, but reversed:
-							vis_line.xcs = vis_line.x0 + 1
-						else
 
-							vis_line.xcs = vis_line.x0
-					vis_line.ycs = curve_radius
-				}
+		lanes[commit_lane_index] = parent_hashes[0] ? { hash: parent_hashes[0], branch: commit_branch } : null
+		for (let parent_hash of parent_hashes.slice(1)) {
+			let parent_lane_index = lanes.findIndex((lane) => lane?.hash === parent_hash)
+			if (parent_lane_index === -1) {
+				parent_lane_index = free_lane_index()
+				lanes[parent_lane_index] = { hash: parent_hash, branch: new_inferred_merge_branch(subject) }
 			}
-			commits.push({
-				i: row_no,
-
-				vis_lines: Object.values(densened_vis_line_by_branch_id)
-					// Leftmost branches should appear later so they are on top of the rest
-					.sort((a, b) => (b.xcs || 0) + (b.xce || 0) - (a.xcs || 0) - (a.xce || 0)),
-				branch: commit_branch,
-				hash_long,
-				hash,
-				author_name,
-				author_email,
-				datetime,
-				refs,
-				subject,
-			})
-
-			last_densened_vis_line_by_branch_id = densened_vis_line_by_branch_id
-			// Get rid of branches that "end" here (those that were born with this very commit)
-			// as won't paint their lines anymore in future (= older) commits, *and*
-			// get rid of collected connection lines - freshly start at this commit again
-			densened_vis_line_by_branch_id = {}
+			vis_lines.push(vis_line(lanes[parent_lane_index]?.branch || commit_branch, x, 0.5, lane_x(parent_lane_index), 1))
 		}
-		last_vis = vis
-	}
+		while (lanes.length && ! lanes.at(-1))
+			lanes.pop()
 
-	// cannot do this at creation because branches list is not fixed before this (see "inferred substitute")
-	for (branch of branches)
-		branch.color = (() => {
-			switch (branch.name) {
-			case 'master': case 'main': return '#ff3333'
-			case 'development': case 'develop': case 'dev': return '#009000'
-			case 'stage': case 'staging': case 'production': return '#d7d700'
-			default:
-				return colors[Math.abs(branch.name.hashCode() % colors.length)]
-			}
-		})()
+		commit_rows.push(row)
+		commits.push({
+			i: commits.length,
+			vis_lines: vis_lines
+				// Leftmost branches should appear later so they are on top of the rest
+				.sort((a, b) => (b.xcs || 0) + (b.xce || 0) - (a.xcs || 0) - (a.xce || 0)),
+			branch: commit_branch,
+			hash_long,
+			hash,
+			parent_hashes,
+			author_name,
+			author_email,
+			datetime,
+			refs,
+			subject,
+			merge: parent_hashes.length > 1,
+		})
+	}
 
+	let all_branches = branches
 	branches = branches.filter((branch) =>
 		// these now reside linked inside vis objects (with colors), but don't mention them in the listing
 		! branch.inferred,
 	).sort(git_ref_sort)
-	.slice(0, 10000)
+		.slice(0, 10000)
 
-	// stashes were queried (git reflog show stash) but shown as commits. Need to add refs:
-	for (stash of (stash_data || '').split('\n')) {
-		// 7c37db63 stash@{11}
-		split = stash.split(' ')
-		let commit = commits.find((c) => c.hash === split[0])
-		let name = split.slice(1).join(' ')
-		commit?.refs.push({
-			name,
-			id: name,
-			type: 'stash',
-			color: '#fff',
-		})
+	return {
+		commits,
+		branches,
+		layout: { commits, rows: commit_rows, branches: all_branches, lanes, lane_signatures, inferred_branch_count },
+		substitutes,
+		reused,
 	}
+}
 
-	return { commits, branches }
+/**
+ * @typedef {Omit<Commit, 'branch' | 'vis_lines' | 'refs'> & {
+ *	branch?: string
+ *	vis_lines: (Omit<VisLine, 'branch'> & { branch?: string })[]
+ *	refs: (GitRef | string)[]
+ * }} DehydratedCommit
+ * Commit with all branches replaced by their ids, because the object identity of branches
+ * is relied upon everywhere but would not survive structured cloning (worker messages).
+ */
+
+/** @return {DehydratedCommit} */
+function dehydrate_commit(/** @type Commit */ commit) {
+	return {
+		...commit,
+		branch: commit.branch?.id,
+		vis_lines: commit.vis_lines.map((vis_line) => ({ ...vis_line, branch: vis_line.branch?.id })),
+		refs: commit.refs.map((ref) => is_branch(ref) ? ref.id : ref),
+	}
 }
-export { parse }
+/**
+ * Reverse of `dehydrate_commit`: *commit* is modified in place
+ * @return {Commit}
+ */
+function hydrate_commit(/** @type DehydratedCommit */ commit, /** @type {Record<string, Branch>} */ branch_by_id) {
+	for (let vis_line of commit.vis_lines)
+		// @ts-ignore
+		vis_line.branch = vis_line.branch == null ? undefined : branch_by_id[vis_line.branch]
+	// @ts-ignore
+	commit.branch = commit.branch == null ? undefined : branch_by_id[commit.branch]
+	commit.refs = commit.refs.map((ref) => typeof ref === 'string' ? branch_by_id[ref] : ref)
+		.filter(is_truthy)
+	// @ts-ignore
+	return commit
+}
+
+export { parse, dehydrate_commit, hydrate_commit }
@@ -0,0 +1,127 @@
+import { base_url } from '../bridge.js'
+import { hydrate_commit } from './log-utils.js'
+
+/**
+ * @typedef {import('./types').Commit} Commit
+ * @typedef {import('./types').Branch} Branch
+ * @typedef {import('./log-worker').LogWorkerRequest} LogWorkerRequest
+ * @typedef {import('./log-worker').LogWorkerResponse} LogWorkerResponse
+ */
+
+/** @type {Worker | null} */
+let worker = null
+function get_worker() {
+	if (worker)
+		return worker
+	// Workers can only be constructed from same-origin scripts, but the web view's resources
+	// are served from a different origin (see `asWebviewUri` in extension.js), so load it indirectly:
+	let loader = new Blob([`importScripts(${JSON.stringify(base_url + 'js/log-worker.js')})`], { type: 'text/javascript' })
+	worker = new Worker(URL.createObjectURL(loader))
+	worker.addEventListener('message', (/** @type {MessageEvent<LogWorkerResponse>} */ event) =>
+		pending_request?.on_response(event.data))
+	worker.addEventListener('error', (event) => {
+		// Its state is unknown now, so the next parse gets a fresh one
+		worker?.terminate()
+		worker = null
+		pending_request?.reject(event.message)
+		pending_request = null
+	})
+	return worker
+}
+
+/** @type {{ id: number, on_response: (response: LogWorkerResponse) => void, reject: (reason: any) => void, resolve: (result: null) => void } | null} */
+let pending_request = null
+let request_id = 0
+
+/**
+ * All branches that the commits of the current log (incl. all of its pages) may refer to.
+ * This is where the branch object identity lives on this side of the worker.
+ * @type {Record<string, Branch>}
+ */
+let branch_by_id = {}
+
+/**
+ * Stops the running parse, if any. Its promise resolves with `null`.
+ * The worker cannot be interrupted otherwise, so it is terminated and recreated on demand.
+ */
+export let abort_parse = () => {
+	if (! pending_request)
+		return
+	worker?.terminate()
+	worker = null
+	pending_request.resolve(null)
+	pending_request = null
+}
+
+/**
+ * Runs `parse` of log-utils.js inside a worker so the UI stays responsive. A running
+ * parse is aborted. A *request.mode* other than `full` fails if the previous parse was aborted.
+ * @param request {Omit<LogWorkerRequest, 'id'>}
+ * @param on_progress {(progress: number, commits: Commit[]) => any} Also receives the commits parsed
+ * so far, in order to show them already. The array is filled further while parsing.
+ * @return {Promise<{ commits: Commit[], branches: Branch[], substitutes: [Branch, Branch][], reused_commits_start: number | null } | null>} `null` if aborted.
+ * For a next page, *commits* contains only the new ones, and *substitutes* lists inferred branches
+ * that turned out to be wrong (first) and need to be replaced in the previous pages' commits.
+ * For `incremental`, *commits* needs to be followed by the previous commits from *reused_commits_start* on.
+ */
+export let parse_in_worker = (request, on_progress) => {
+	abort_parse()
+	// Terminated, so the previous log is gone
+	if (request.mode !== 'full' && ! worker)
+		return Promise.reject(new Error(`Cannot parse ${request.mode}: No previous log`))
+	if (request.mode === 'full')
+		branch_by_id = {}
+	let id = ++request_id
+	/** @type {Commit[]} */
+	let commits = []
+	/** @type {Branch[]} */
+	let branches = []
+	/** @type {[Branch, Branch][]} */
+	let substitutes = []
+	return new Promise((resolve, reject) => {
+		pending_request = {
+			id,
+			resolve,
+			reject,
+			on_response(response) {
+				if (response.id !== id)
+					return
+				switch (response.type) {
+				case 'progress':
+					return on_progress(response.progress, commits)
+				case 'branches':
+					for (let branch of response.branches)
+						// Keep existing objects because commits of previous pages point to them
+						branch_by_id[branch.id] = Object.assign(branch_by_id[branch.id] || {}, branch)
+					for (let [wrong_id, right_id] of Object.entries(response.substitutes)) {
+						let wrong_branch = branch_by_id[wrong_id]
+						let right_branch = branch_by_id[right_id]
+						if (! wrong_branch || ! right_branch)
+							continue
+						substitutes.push([wrong_branch, right_branch])
+						delete branch_by_id[wrong_id]
+						// The worker has already fixed its own copies of the commits that were sent before, see `parse`
+						for (let k = commits.length - 1; k >= 0; k--) {
+							let wrong_branch_matches = commits[k]?.vis_lines.filter((v) => v.branch === wrong_branch) || []
+							if (! wrong_branch_matches.length)
+								break
+							for (let wrong_branch_match of wrong_branch_matches)
+								wrong_branch_match.branch = right_branch
+						}
+					}
+					if (response.visible_branch_ids)
+						branches = response.visible_branch_ids.map((branch_id) => branch_by_id[branch_id])
+					return
+				case 'commits':
+					for (let commit of response.commits)
+						commits.push(hydrate_commit(commit, branch_by_id))
+					return
+				case 'done':
+					pending_request = null
+					return resolve({ commits, branches, substitutes, reused_commits_start: response.reused_commits_start })
+				}
+			},
+		}
+		get_worker().postMessage({ ...request, id })
+	})
+}
@@ -0,0 +1,118 @@
+import '../../../src/globals'
+import { parse, dehydrate_commit } from './log-utils.js'
+
+/**
+ * @typedef {import('./log-utils').Layout} Layout
+ * @typedef {import('./log-utils').DehydratedCommit} DehydratedCommit
+ * @typedef {import('./types').Branch} Branch
+ * @typedef {import('./types').Commit} Commit
+ *
+ * @typedef {{
+ *	id: number
+ *	log_data: string
+ *	branch_data: string
+ *	stash_data: string
+ *	separator: string
+ *	curve_radius: number
+ *	mode: 'full' | 'next_page' | 'incremental'
+ *	decorations?: Record<string, string>
+ * }} LogWorkerRequest
+ * For a `next_page`, the lanes are continued from where the last parsed page stopped.
+ * `incremental` means that *log_data* only contains the commits that are new since the last parse,
+ * and the last parsed log is reused as far as possible. *decorations* (`%D` by full hash) then
+ * lists all of its commits whose refs have changed since.
+ *
+ * @typedef {{ id: number } & ({
+ *	type: 'progress'
+ *	progress: number
+ * } | {
+ *	type: 'branches'
+ *	branches: Branch[]
+ *	visible_branch_ids: string[] | null
+ *	substitutes: Record<string, string>
+ * } | {
+ *	type: 'commits'
+ *	commits: DehydratedCommit[]
+ * } | {
+ *	type: 'done'
+ *	reused_commits_start: number | null
+ * })} LogWorkerResponse
+ * The parsed commits are streamed back in chunks while parsing, each one after all *branches*
+ * (including inferred ones) known so far, so they can be linked on arrival (see `hydrate_commit`).
+ * *substitutes* are only the new ones since the last `branches` response, and apply to the commits
+ * that were sent already, see `parse`. *visible_branch_ids* is only set once everything is parsed.
+ * A `progress` response always comes after the chunk that it includes.
+ * For `incremental`, only the commits before those that could be reused are sent. The rest is
+ * the same as the previous log's commits from *reused_commits_start* on.
+ */
+
+// This is a standalone webpack entry (see vue.config.js) and runs inside a Web Worker so
+// that the UI doesn't freeze while tens of thousands of rows are being processed.
+// There's no way to abort a running parse via message because the worker is busy, so
+// this is done by terminating the whole worker instead (log-worker-bridge.js).
+
+let chunk_size = 1000
+
+/** @type {Layout | null} */
+let last_layout = null
+
+function respond(/** @type LogWorkerResponse */ response) {
+	// @ts-ignore because jsconfig only knows about `window.postMessage`, not the worker one
+	self.postMessage(response)
+}
+
+self.addEventListener('message', (/** @type {MessageEvent<LogWorkerRequest>} */ event) => {
+	let { id, log_data, branch_data, stash_data, separator, curve_radius, mode, decorations } = event.data
+	if (mode !== 'full' && ! last_layout)
+		throw new Error(`Cannot parse ${mode}: No previous log`)
+	let previous_layout = mode === 'next_page' ? last_layout || undefined : undefined
+	let reusable_layout = mode === 'incremental' ? last_layout || undefined : undefined
+	let first_reusable_i = 0
+	if (reusable_layout) {
+		let rows = reusable_layout.rows.slice()
+		for (let [i, commit] of reusable_layout.commits.entries()) {
+			let refs_csv = decorations?.[commit.hash_long]
+			if (refs_csv == null)
+				continue
+			let fields = rows[i].split(separator)
+			fields[6] = refs_csv
+			rows[i] = fields.join(separator)
+			first_reusable_i = i + 1
+		}
+		reusable_layout = { ...reusable_layout, rows }
+	}
+	// Everything before is either from previous pages or has been sent already
+	let sent_commits_i = previous_layout?.commits.length || 0
+	let sent_substitute_ids = new Set()
+	function send_parsed(/** @type {{ commits: Commit[], branches: Branch[], substitutes: Record<string, string> }} */ parsed, /** @type {string[] | null} */ visible_branch_ids, /** @type number */ commits_end) {
+		respond({
+			id,
+			type: 'branches',
+			branches: parsed.branches,
+			visible_branch_ids,
+			substitutes: Object.fromEntries(Object.entries(parsed.substitutes)
+				.filter(([wrong_id]) => ! sent_substitute_ids.has(wrong_id))),
+		})
+		for (let wrong_id of Object.keys(parsed.substitutes))
+			sent_substitute_ids.add(wrong_id)
+		for (; sent_commits_i < commits_end; sent_commits_i += chunk_size)
+			respond({
+				id,
+				type: 'commits',
+				commits: parsed.commits.slice(sent_commits_i, Math.min(sent_commits_i + chunk_size, commits_end)).map(dehydrate_commit),
+			})
+		sent_commits_i = commits_end
+	}
+	let parsed = parse(log_data, branch_data, stash_data, separator, curve_radius, previous_layout, (progress, partial) => {
+		if (partial.commits.length > sent_commits_i)
+			send_parsed(partial, null, partial.commits.length)
+		respond({ id, type: 'progress', progress })
+	}, reusable_layout, first_reusable_i)
+	last_layout = parsed.layout
+	send_parsed({ ...parsed, branches: parsed.layout.branches }, parsed.branches.map((branch) => branch.id), parsed.reused?.commit_i ?? parsed.commits.length)
+	respond({
+		id,
+		type: 'done',
+		reused_commits_start: parsed.reused?.reusable_i ?? null,
+	})
+})
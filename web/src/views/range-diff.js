@@ -0,0 +1,65 @@
+/**
+ * @typedef {{
+ *	old_i: number | null
+ *	old_hash: string | null
+ *	new_i: number | null
+ *	new_hash: string | null
+ *	status: '=' | '!' | '<' | '>'
+ *	subject: string
+ *	interdiff: string[]
+ *	files: import('./FilesDiffsList').FileDiff[]
+ * }} RangeDiffPair
+ * A commit of the old range matched with one of the new range. `=` means unchanged, `!` changed,
+ * `<` only in the old range (*new_i* and *new_hash* are `null`) and `>` only in the new one.
+ * *interdiff* is the diff of the two patches, so each line has two diff markers, the first for
+ * the interdiff and the second for the patch. *files* are the files that the interdiff touches,
+ * with its added and removed lines as insertions and deletions.
+ */
+
+// Sections of the interdiff that aren't files
+let meta_sections = ['Metadata', 'Commit message']
+
+/**
+ * @param output {string} Of `git range-diff --no-color`
+ * @return {RangeDiffPair[]}
+ */
+export let parse_range_diff = (output) => {
+	/** @type {RangeDiffPair[]} */
+	let pairs = []
+	for (let line of output.split('\n')) {
+		let header = line.match(/^\s*(\d+|-):\s+([0-9a-f]+|-+) ([=!<>]) \s*(\d+|-):\s+([0-9a-f]+|-+) (.*)$/)
+		if (header) {
+			let [, old_i = '', old_hash = '', status = '=', new_i = '', new_hash = '', subject = ''] = header
+			pairs.push({
+				old_i: old_i === '-' ? null : Number(old_i),
+				old_hash: old_hash.startsWith('-') ? null : old_hash,
+				new_i: new_i === '-' ? null : Number(new_i),
+				new_hash: new_hash.startsWith('-') ? null : new_hash,
+				// @ts-ignore because the regex only matches these
+				status,
+				subject,
+				interdiff: [],
+				files: [],
+			})
+			continue
+		}
+		let pair = pairs[pairs.length - 1]
+		if (! pair)
+			continue
+		// The interdiff is indented by 4 spaces
+		let interdiff_line = line.slice(4)
+		pair.interdiff.push(interdiff_line)
+		let file_header = interdiff_line.match(/^[ +-] ## (.+) ##$/)
+		let path = file_header?.[1]?.replace(/ \((new|deleted|mode change)[^)]*\)$/, '')
+		if (path && ! meta_sections.includes(path))
+			pair.files.push({ path, insertions: 0, deletions: 0 })
+		let file = pair.files[pair.files.length - 1]
+		if (! file || file_header)
+			continue
+		if (interdiff_line.startsWith('+'))
+			file.insertions++
+		else if (interdiff_line.startsWith('-'))
+			file.deletions++
+	}
+	return pairs
+}
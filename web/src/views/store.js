@@ -1,7 +1,11 @@
-import { ref, computed, shallowRef } from 'vue'
+import { ref, computed, shallowRef, toRaw } from 'vue'
 import default_git_actions from './default-git-actions.json'
-import { parse } from './log-utils.js'
-import { git, exchange_message, add_push_listener } from '../bridge.js'
+import { parse_in_worker } from './log-worker-bridge.js'
+import { until } from '@vueuse/core'
+import { git, git_stream, exchange_message, add_push_listener } from '../bridge.js'
+import { add_query_log_args, escape_git_regex } from './log-query.js'
+import { git_status_args, parse_git_status } from './git-status.js'
+import { changed_files_options, parse_changed_files } from './changed-files.js'
 import GitInputModel, { parse_config_actions } from './GitInput.js'
 
 /**
@@ -11,6 +15,10 @@ import GitInputModel, { parse_config_actions } from './GitInput.js'
  * @typedef {import('./types').ConfigGitAction} ConfigGitAction
  * @typedef {import('./types').GitAction} GitAction
  * @typedef {import('./types').HistoryEntry} HistoryEntry
+ * @typedef {import('@extension/log-cache').LogCache} LogCache
+ * @typedef {import('./FilesDiffsList').FileDiff} FileDiff
+ * @typedef {import('./git-status').GitStatus} GitStatus
+ * @typedef {import('@extension/git').RepoOperation} RepoOperation
  */
 /** @template T @typedef {import('vue').Ref<T>} Ref */
 /** @template T @typedef {import('vue').ComputedRef<T>} ComputedRef */
@@ -36,7 +44,7 @@ export let stateful_computed = (/** @type {string} */ key, /** @type {T} */ defa
 	/** @type {WritableComputedRef<T>|undefined} */
 	let ret = _stateful_computeds[key]
 	if (ret) {
-		on_load()
+		on_load?.()
 		return ret
 	}
 	// shallow because type error https://github.com/vuejs/composition-api/issues/483
@@ -69,43 +77,420 @@ export let branches = ref([])
 // this is either a branch id(name) or HEAD in which case it will simply not be shown
 // which is also not necessary because HEAD is then also visible as a branch tip.
 export let head_branch = ref('')
-export let git_status = ref('')
+/** @type {Ref<GitStatus|null>} */
+export let git_status = ref(null)
+/**
+ * The merge, rebase etc. that is in progress, see `repo_operation_actions`
+ * @type {Ref<RepoOperation|null>}
+ */
+export let repo_operation = ref(null)
+/**
+ * The uncommitted changes, shown as a virtual first row of the log (`working_tree_commit` in MainView).
+ * Untracked files have no line counts.
+ * @type {Ref<{ staged: FileDiff[], unstaged: FileDiff[], untracked: FileDiff[] }>}
+ */
+export let working_tree_changes = ref({ staged: [], unstaged: [], untracked: [] })
 /** @type {Ref<string|null>} */
 export let default_origin = ref('')
 
-export let git_run_log = async (/** @type string */ log_args) => {
-	let sep = '^%^%^%^%^'
-	log_args = log_args.replace(' --pretty={EXT_FORMAT}', ` --pretty=format:"${sep}%H${sep}%h${sep}%aN${sep}%aE${sep}%ad${sep}%D${sep}%s"`)
-	let stash_refs = await git('reflog show --format="%h" stash').catch(() => '')
-	log_args = log_args.replace('{STASH_REFS}', stash_refs.replaceAll('\n', ' '))
+let sep = '^%^%^%^%^'
+/**
+ * Everything needed for `git_load_more_log`. *args* has the final form as passed to git,
+ * only with a `--skip={SKIP}` placeholder.
+ * @type {{ args: string[], page_size: number, skip: number, stash_data: string } | null}
+ */
+let log_paging = null
+/**
+ * The args of the current log as passed to git, see `git_search_log`
+ * @type {string[]}
+ */
+let current_log_args = []
+let log_run_id = 0
+/** Whether there are more commits available than loaded into `commits` so far */
+export let has_more_commits = ref(false)
+export let loading_more_commits = ref(false)
+/** @type {Ref<number|null>} Share of the log that has been parsed, while parsing is running */
+export let log_progress = ref(null)
+
+/**
+ * The state of the log as currently shown, so that the next `git_run_log` with the same args
+ * only needs to load what has changed since. *tips* maps all ref names (and `HEAD`) to commit hashes.
+ * *rows* are the raw log lines of all `commits`, kept for the log cache.
+ * @type {{ args_key: string, tips: Record<string, string>, stash_refs: string, rows: string[] } | null}
+ */
+let log_state = null
+
+let split_log_rows = (/** @type string */ log_data) =>
+	log_data.split('\n').filter((row) => row.includes(sep))
+
+let get_working_tree_changes = async () => {
+	// Without renames, so that each path can be staged on its own
+	let [staged, unstaged, untracked] = await Promise.all([
+		git(['-c', 'core.quotepath=false', 'diff', '--cached', ...changed_files_options, '--no-renames']),
+		git(['-c', 'core.quotepath=false', 'diff', ...changed_files_options, '--no-renames']),
+		git(['-c', 'core.quotepath=false', 'ls-files', '--others', '--exclude-standard']),
+	])
+	return {
+		staged: parse_changed_files(staged),
+		unstaged: parse_changed_files(unstaged),
+		untracked: untracked.split('\n').filter(Boolean).map((path) => ({ path, insertions: 0, deletions: 0 })),
+	}
+}
+
+let get_ref_tips = async () => {
+	let [refs_data, head_hash] = await Promise.all([
+		// Annotated tags point to tag objects, so take the commit they point to (`*`) instead
+		git(['for-each-ref', '--format=%(refname) %(objectname) %(*objectname)']),
+		git(['rev-parse', '--verify', '--quiet', 'HEAD']).catch(() => ''),
+	])
+	/** @type {Record<string, string>} */
+	let tips = {}
+	for (let line of refs_data.split('\n').filter(Boolean)) {
+		let [ref_name = '', hash = '', peeled_hash = ''] = line.split(' ')
+		tips[ref_name] = peeled_hash || hash
+	}
+	if (head_hash)
+		tips.HEAD = head_hash
+	return tips
+}
+
+/**
+ * `parse_in_worker`, with its progress shown in `log_progress`. With *show_partial*, the commits
+ * are also shown as they arrive, which is only done while nothing else is shown yet, as it would
+ * otherwise replace a complete log with a shorter one for a moment.
+ */
+let parse_log_in_worker = (/** @type {Parameters<typeof parse_in_worker>[0]} */ request, /** @type number */ run_id, show_partial = false) =>
+	parse_in_worker(request, (progress, partial_commits) => {
+		log_progress.value = progress
+		if (show_partial && run_id === log_run_id && partial_commits.length)
+			commits.value = partial_commits.slice()
+	})
+		.finally(() => {
+			if (run_id === log_run_id)
+				log_progress.value = null
+		})
+
+/**
+ * Instead of reloading everything, only loads the commits that are new since *previous* was
+ * loaded, puts them on top and lets the worker reuse the lanes of the rest as far as possible.
+ * @param previous {NonNullable<typeof log_state>}
+ * @param tips {Record<string, string>}
+ * @param log_args {string[]} Same as the previous ones
+ * @param page_size {number}
+ * @param request {{ branch_data: string, stash_data: string, run_id: number }}
+ * @return {Promise<{ commits: Commit[], branches: Branch[], rows: string[] } | null>} `null` if not possible, mostly
+ * because history was rewritten, or if aborted
+ */
+let load_log_incrementally = async (previous, tips, log_args, page_size, { branch_data, stash_data, run_id }) => {
+	let loaded_commits = commits.value || []
+	let changed_ref_names = [...new Set([...Object.keys(previous.tips), ...Object.keys(tips)])]
+		.filter((ref_name) => previous.tips[ref_name] !== tips[ref_name])
+	if (! changed_ref_names.length)
+		return { commits: loaded_commits, branches: branches.value, rows: previous.rows }
+	let previous_tip_hashes = [...new Set(Object.values(previous.tips))]
+	let paths_i = log_args.includes('--') ? log_args.indexOf('--') : log_args.length
+	let new_log_data = await git([
+		...log_args.slice(0, paths_i).filter((arg) => ! arg.startsWith('--skip=')),
+		'--not', ...previous_tip_hashes,
+		...log_args.slice(paths_i),
+	])
+	let new_rows = split_log_rows(new_log_data)
+	if (page_size && new_rows.length >= page_size)
+		return null
+	let loaded_hashes = loaded_commits.map((commit) => commit.hash_long)
+	let new_hashes = new_rows.map((row) => row.split(sep)[1] || '')
+	// New commits are put on top, but git's order can differ: With `--topo-order`, they pull up older commits
+	// of their lines, and with a different date, they don't belong on top in the first place. Also, rewritten
+	// history makes commits disappear. So compare with the actual order, which is much cheaper to get than the full log.
+	let order_args = log_args.map((arg) =>
+		arg.startsWith('--pretty=') || arg.startsWith('--format=')
+			? '--format=%H'
+			: arg.startsWith('--max-count=')
+				? `--max-count=${new_hashes.length + loaded_hashes.length}`
+				: arg)
+	if (await git(order_args) !== new_hashes.concat(loaded_hashes).join('\n'))
+		return null
+	let loaded_commit_hashes = new Set(loaded_hashes)
+	let redecorated_hashes = [...new Set(changed_ref_names.flatMap((ref_name) => [previous.tips[ref_name], tips[ref_name]]))]
+		.filter((hash) => hash && loaded_commit_hashes.has(hash))
+	/** @type {Record<string, string>} */
+	let decorations = {}
+	if (redecorated_hashes.length)
+		for (let line of (await git(['log', '--no-walk=unsorted', `--format=%H${sep}%D`, ...redecorated_hashes])).split('\n')) {
+			let [hash = '', refs_csv = ''] = line.split(sep)
+			decorations[hash] = refs_csv
+		}
+	if (run_id !== log_run_id)
+		return null
+	let parsed = await parse_log_in_worker({ log_data: new_rows.join('\n'), branch_data, stash_data, separator: sep, curve_radius: config.value['curve-radius'], mode: 'incremental', decorations }, run_id)
+	if (! parsed)
+		return null
+	let reused_commits = parsed.reused_commits_start == null ? [] : loaded_commits.slice(parsed.reused_commits_start)
+	for (let [i, commit] of reused_commits.entries())
+		commit.i = parsed.commits.length + i
+	// Same as the worker does with its copy
+	let rows = previous.rows.slice()
+	for (let [i, commit] of loaded_commits.entries()) {
+		let refs_csv = decorations[commit.hash_long]
+		if (refs_csv == null)
+			continue
+		let fields = rows[i]?.split(sep) || []
+		fields[6] = refs_csv
+		rows[i] = fields.join(sep)
+	}
+	return { commits: parsed.commits.concat(reused_commits), branches: parsed.branches, rows: new_rows.concat(rows) }
+}
+
+let show_log = (/** @type {{ commits: Commit[], branches: Branch[] }} */ loaded, /** @type string */ head_data, /** @type string */ status_data) => {
+	commits.value = loaded.commits
+	branches.value = loaded.branches
+	head_branch.value = head_data
+	git_status.value = parse_git_status(status_data)
+	let likely_default_branch = branches.value.find((b) => b.name === 'master' || b.name === 'main') || branches.value[0]
+	default_origin.value = likely_default_branch?.remote_name || likely_default_branch?.tracking_remote_name || null
+}
+
+export let git_run_log = async (/** @type {string[]} */ log_args) => {
+	let run_id = ++log_run_id
+	loading_more_commits.value = false
+	let args_key = JSON.stringify(log_args)
+	/** @type {NonNullable<typeof log_state> | null} */
+	let previous_log_state = log_state
+	// Only valid again once this run has finished
+	log_state = null
+	// Nothing shown yet, usually because VSCode has just started. `log_state` alone doesn't tell,
+	// as it's also missing while a replaced run hasn't finished.
+	/** @type {Promise<LogCache | null> | null} */
+	let log_cache_request = previous_log_state || commits.value ? null : exchange_message('get-log-cache').catch(() => null)
+	let [stash_refs, tips, log_cache] = await Promise.all([
+		git('reflog show --format="%h" stash').catch(() => ''),
+		get_ref_tips().catch(() => null),
+		log_cache_request,
+	])
+	/** @type {string[]} */
+	let final_args = []
+	for (let arg of log_args)
+		if (arg === '--pretty={EXT_FORMAT}')
+			final_args.push(`--pretty=format:${sep}%H${sep}%h${sep}%aN${sep}%aE${sep}%ad${sep}%D${sep}%P${sep}%s`)
+		else if (arg === '{STASH_REFS}')
+			final_args.push(...stash_refs.split('\n').filter(Boolean))
+		// Normalize `-n 15000` and `-n15000` so that paging below only needs to look at single args
+		else if (final_args[final_args.length - 1] === '-n' && arg.match(/^\d+$/))
+			final_args[final_args.length - 1] = '--max-count=' + arg
+		else
+			final_args.push(arg.replace(/^-n(\d+)$/, '--max-count=$1'))
+	log_args = final_args
+	current_log_args = log_args
+	// Paging is only possible if the args limit the amount, as they do by default (`-n 15000 --skip=0`)
+	let page_size = Number(log_args.find((arg) => arg.startsWith('--max-count='))?.slice(12)) || 0
+	let skip = Number(log_args.find((arg) => arg.startsWith('--skip='))?.slice(7)) || 0
+	let paging_args = log_args
+		.filter((arg) => ! arg.startsWith('--skip='))
+		.flatMap((arg) => arg.startsWith('--max-count=') ? [arg, '--skip={SKIP}'] : [arg])
+	// Show the log from last time right away, then reconcile it with the repository like after a normal refresh
+	if (log_cache?.args_key === args_key) {
+		let restored = await parse_log_in_worker({ log_data: log_cache.rows.join('\n'), branch_data: log_cache.branch_data, stash_data: log_cache.stash_data, separator: sep, curve_radius: config.value['curve-radius'], mode: 'full' }, run_id, ! commits.value)
+		if (run_id !== log_run_id)
+			return
+		if (restored) {
+			show_log(restored, log_cache.head_data, log_cache.status_data)
+			log_paging = page_size ? { args: paging_args, page_size, skip, stash_data: log_cache.stash_data } : null
+			has_more_commits.value = !! page_size && restored.commits.length >= page_size
+			previous_log_state = log_cache
+		}
+	}
+	// Only logs of all refs can be loaded incrementally because otherwise, it's hard to tell
+	// which tips are relevant. Stash refs are given explicitly and renamed with every change.
+	let may_be_incremental = !! previous_log_state && !! tips && !! commits.value && previous_log_state.args_key === args_key && previous_log_state.stash_refs === stash_refs && log_args.includes('--all') && ! skip
 	// errors will be handled by GitInput
-	let [log_data, branch_data, stash_data, status_data, head_data] = await Promise.all([
-		git(log_args),
-		git(`branch --list --all --format="%(upstream:remotename)${sep}%(refname)"`),
+	let [log_data, branch_data, stash_data, status_data, head_data, changes, operation] = await Promise.all([
+		may_be_incremental ? null : git(log_args),
+		git(['branch', '--list', '--all', `--format=%(upstream:remotename)${sep}%(refname)`]),
 		git('stash list --format="%h %gd"').catch(() => ''),
-		git('-c core.quotepath=false status'),
+		git(git_status_args),
 		git('rev-parse --abbrev-ref HEAD'),
+		get_working_tree_changes().catch(() => null),
+		exchange_message('get-repo-operation').catch(() => null),
 	])
-	if (log_data == null)
+	if (run_id !== log_run_id)
+		return
+	working_tree_changes.value = changes || { staged: [], unstaged: [], untracked: [] }
+	repo_operation.value = operation
+	/** @type {{ commits: Commit[], branches: Branch[], rows: string[] } | null} */
+	let loaded = null
+	if (may_be_incremental && previous_log_state && tips)
+		loaded = await load_log_incrementally(previous_log_state, tips, log_args, page_size, { branch_data, stash_data, run_id })
+			.catch((e) => {
+				console.warn('incremental log failed, falling back to full reload', e)
+				return null
+			})
+	if (run_id !== log_run_id)
 		return
-	let parsed = parse(log_data, branch_data, stash_data, sep, config.value['curve-radius'])
-	commits.value = parsed.commits
+	if (! loaded) {
+		log_data ??= await git(log_args)
+		if (run_id !== log_run_id)
+			return
+		// If another refresh comes in while this one is still parsing, this one is aborted (resolves with null)
+		let parsed = await parse_log_in_worker({ log_data, branch_data, stash_data, separator: sep, curve_radius: config.value['curve-radius'], mode: 'full' }, run_id, ! commits.value)
+		if (run_id !== log_run_id || ! parsed)
+			return
+		loaded = { ...parsed, rows: split_log_rows(log_data) }
+		log_paging = page_size ? { args: paging_args, page_size, skip, stash_data } : null
+		has_more_commits.value = !! page_size && parsed.commits.length >= page_size
+	}
+	let is_log_changed = loaded.commits !== commits.value
+	log_state = tips && { args_key, tips, stash_refs, rows: loaded.rows }
+	show_log(loaded, head_data, status_data)
+	if (log_state && is_log_changed)
+		exchange_message('set-log-cache', { ...log_state, branch_data, stash_data, head_data, status_data }).catch((e) =>
+			console.warn('log cache could not be saved', e))
+}
+/**
+ * Appends the next page of the log that was last run with `git_run_log` to `commits`.
+ * If that fails, paging stops until the log is run again.
+ */
+export let git_load_more_log = async () => {
+	// No `log_state` means that `git_run_log` is still running and will replace the log anyway
+	if (! log_paging || ! has_more_commits.value || loading_more_commits.value || ! log_state)
+		return
+	let run_id = log_run_id
+	let paging = log_paging
+	loading_more_commits.value = true
+	let loaded_commits = commits.value || []
+	let args = paging.args.map((arg) => arg === '--skip={SKIP}' ? `--skip=${paging.skip + loaded_commits.length}` : arg)
+	let log_data = ''
+	let parsed = await git(args)
+		.then((data) => {
+			log_data = data
+			return run_id === log_run_id ? parse_in_worker({ log_data, branch_data: '', stash_data: paging.stash_data, separator: sep, curve_radius: config.value['curve-radius'], mode: 'next_page' }, () => {}) : null
+		})
+		.catch((e) => {
+			// Otherwise, the same failure would repeat on every scroll
+			if (run_id === log_run_id)
+				has_more_commits.value = false
+			throw e
+		})
+		.finally(() => {
+			if (run_id === log_run_id)
+				loading_more_commits.value = false
+		})
+	// A refresh happened in the meantime, so this page belongs to an outdated log
+	if (run_id !== log_run_id || ! parsed)
+		return
+	if (log_state)
+		log_state.rows = log_state.rows.concat(split_log_rows(log_data))
+	for (let [wrong_branch, right_branch] of parsed.substitutes)
+		for (let k = loaded_commits.length - 1; k >= 0; k--) {
+			let wrong_branch_matches = loaded_commits[k].vis_lines.filter((v) => toRaw(v.branch) === wrong_branch)
+			if (! wrong_branch_matches.length)
+				break
+			for (let wrong_branch_match of wrong_branch_matches)
+				wrong_branch_match.branch = right_branch
+		}
+	has_more_commits.value = parsed.commits.length >= paging.page_size
+	commits.value = loaded_commits.concat(parsed.commits)
 	branches.value = parsed.branches
-	head_branch.value = head_data
-	git_status.value = status_data
-	let likely_default_branch = branches.value.find((b) => b.name === 'master' || b.name === 'main') || branches.value[0]
-	default_origin.value = likely_default_branch?.remote_name || likely_default_branch?.tracking_remote_name || null
 }
+
+/**
+ * Loads more pages of the log until the commit is among `commits`, e.g. in order to jump to it
+ * @return {Promise<Commit | undefined>} `undefined` if it isn't part of the log at all,
+ * or if the log is being refreshed meanwhile
+ */
+export let git_load_log_until_commit = async (/** @type string */ hash_long) => {
+	let run_id = log_run_id
+	let find_commit = () =>
+		commits.value?.find((commit) => commit.hash_long === hash_long)
+	// Not while `git_run_log` is running because it would replace the log anyway
+	let can_load_more = () =>
+		has_more_commits.value && !! log_state && run_id === log_run_id
+	while (! find_commit() && can_load_more())
+		if (loading_more_commits.value)
+			await until(loading_more_commits).toBe(false)
+		else
+			await git_load_more_log()
+	return run_id === log_run_id ? find_commit() : undefined
+}
+
+/**
+ * Searches all commits of the current log, not only the loaded ones, by their changes or message
+ * @param text {string}
+ * @param kind {'-S' | '-G' | '--grep'} `-S`: Commits that change the number of occurrences of *text*,
+ * `-G`: Commits with added or removed lines that match *text*, `--grep`: Commits whose message (incl. body) matches *text*
+ * @param options {{ is_regex: boolean, signal: AbortSignal, on_hits: (hashes_long: string[]) => any }}
+ * *on_hits* receives the matching commits in log order while git is still searching
+ */
+export let git_search_log = async (text, kind, { is_regex, signal, on_hits }) => {
+	let args = current_log_args.filter((arg) =>
+		! /^--(pretty|format|max-count|skip)=/.test(arg))
+	/** @type {RegExp[]} */
+	let hidden_subjects = []
+	/** @type {string[]} */
+	let search_args = []
+	if (kind === '--grep')
+		({ args, hidden_subjects } = add_query_log_args(args, { text: '', terms: [{ key: 'msg', value: text }] }, is_regex))
+	else if (kind === '-S')
+		search_args = ['-S' + text, ...is_regex ? ['--pickaxe-regex'] : []]
+	else
+		search_args = ['-G' + (is_regex ? text : escape_git_regex(text, args))]
+	let paths_i = args.includes('--') ? args.indexOf('--') : args.length
+	args = [...args.slice(0, paths_i), ...search_args, `--format=%H${sep}%s`, ...args.slice(paths_i)]
+	let unfinished_line = ''
+	let handle_lines = (/** @type string */ lines) => {
+		let hits = lines.split('\n')
+			.map((line) => line.split(sep))
+			.filter(([hash_long = '', subject = '']) =>
+				hash_long && ! hidden_subjects.some((regex) => regex.test(subject)))
+			.map(([hash_long = '']) => hash_long)
+		if (hits.length)
+			on_hits(hits)
+	}
+	await git_stream(args, {
+		signal,
+		on_output(output) {
+			let lines = unfinished_line + output
+			let last_newline_i = lines.lastIndexOf('\n')
+			unfinished_line = lines.slice(last_newline_i + 1)
+			handle_lines(lines.slice(0, last_newline_i + 1))
+		},
+	})
+	handle_lines(unfinished_line)
+}
+
+/**
+ * @typedef {{
+ *	file: string
+ *	start: number
+ *	end: number
+ * }} LineRange
+ * *file* is relative to the repository root, *start* and *end* are 1-based and inclusive.
+ */
+/**
+ * The result of `git_line_history`: For each commit (full hash) that changed the lines, the diff of them
+ * @type {Ref<LineRange & { patches: Record<string, string> } | null>}
+ */
+export let line_history = ref(null)
+export let git_line_history = async (/** @type {LineRange} */ { file, start, end }) => {
+	let log_data = await git(['log', '-L', `${start},${end}:${file}`, `--format=${sep}%H`, '--color=never'])
+	/** @type {Record<string, string>} */
+	let patches = {}
+	for (let commit_data of log_data.split(sep).filter(Boolean)) {
+		let [hash_long = '', ...patch_lines] = commit_data.split('\n')
+		patches[hash_long] = patch_lines.join('\n').replace(/^\n+|\n+$/g, '')
+	}
+	line_history.value = { file, start, end, patches }
+}
+
 /** @type {Ref<Ref<GitInputModel|null>|null>} */
 export let main_view_git_input_ref = ref(null)
-/** @param args {{before_execute?: ((cmd: string) => string) | undefined}} */
+/** @param args {{before_execute?: ((args: string[]) => string[]) | undefined}} */
 export let refresh_main_view = ({ before_execute } = {}) => {
 	console.warn('refreshing main view')
 	return main_view_git_input_ref.value?.value?.execute({ before_execute })
 }
 
 export let update_commit_stats = async (/** @type {Commit[]} */ commits) => {
-	let data = await git('show --format="%h" --shortstat ' + commits.map((c) => c.hash).join(' '))
+	let data = await git(['show', '--format=%h', '--shortstat', ...commits.map((c) => c.hash)])
 	if (! data)
 		return
 	let hash = ''
@@ -131,6 +516,66 @@ export let update_commit_stats = async (/** @type {Commit[]} */ commits) => {
 
 /** @type {Ref<GitAction|null>} */
 export let selected_git_action = ref(null)
+/** The commit that InteractiveRebase rebases the checked out branch onto, if open */
+export let interactive_rebase_base_hash = ref('')
+/**
+ * Changing commits other than HEAD, which CommitRewrite does by rebasing, if open. `squash-selected`
+ * melds all *hashes* into the oldest of them, the other kinds take a single hash.
+ * @type {Ref<{ kind: 'reword' | 'drop' | 'squash-into-parent' | 'squash-selected', hashes: string[] } | null>}
+ */
+export let commit_rewrite = ref(null)
+/**
+ * The commits after *base* up to HEAD, oldest first, as `git rebase -i` would replay them
+ * @return {Promise<{ commits: { hash: string, hash_long: string, subject: string, message: string }[], merge_count: number }>}
+ * *merge_count* is the number of merge commits that are left out because of that, which flattens them.
+ */
+export let git_rebase_commits = async (/** @type string */ base) => {
+	let [log_data, merges] = await Promise.all([
+		git(['log', '--reverse', '--no-merges', `--format=${sep}%h %H%n%B`, `${base}..HEAD`]),
+		git(['rev-list', '--count', '--merges', `${base}..HEAD`]),
+	])
+	let commits = log_data.split(sep).filter(Boolean).map((commit_data) => {
+		let [hashes = '', ...message_lines] = commit_data.split('\n')
+		let [hash = '', hash_long = ''] = hashes.split(' ')
+		return { hash, hash_long, subject: message_lines[0] || '', message: message_lines.join('\n').trim() }
+	})
+	return { commits, merge_count: Number(merges) || 0 }
+}
+
+/**
+ * What can be done about each `RepoOperation` while it's stopped. Continuing uses `core.editor=true`
+ * so that the prepared commit message is taken as is, instead of waiting for an editor that never opens.
+ * @type {Record<RepoOperation, ConfigGitAction[]>}
+ */
+let operation_actions = {
+	merge: [
+		{ title: 'Continue merge', args: '-c core.editor=true merge --continue', immediate: true, icon: 'debug-continue' },
+		{ title: 'Abort merge', args: 'merge --abort', icon: 'debug-stop' },
+	],
+	rebase: [
+		{ title: 'Continue rebase', args: '-c core.editor=true rebase --continue', immediate: true, icon: 'debug-continue' },
+		{ title: 'Skip rebase', args: 'rebase --skip', icon: 'debug-step-over' },
+		{ title: 'Abort rebase', args: 'rebase --abort', icon: 'debug-stop' },
+	],
+	'cherry-pick': [
+		{ title: 'Continue cherry-pick', args: '-c core.editor=true cherry-pick --continue', immediate: true, icon: 'debug-continue' },
+		{ title: 'Skip cherry-pick', args: 'cherry-pick --skip', icon: 'debug-step-over' },
+		{ title: 'Abort cherry-pick', args: 'cherry-pick --abort', icon: 'debug-stop' },
+	],
+	revert: [
+		{ title: 'Continue revert', args: '-c core.editor=true revert --continue', immediate: true, icon: 'debug-continue' },
+		{ title: 'Skip revert', args: 'revert --skip', icon: 'debug-step-over' },
+		{ title: 'Abort revert', args: 'revert --abort', icon: 'debug-stop' },
+	],
+	bisect: [
+		{ title: 'Mark good', description: 'Mark the checked out commit as good', args: 'bisect good', immediate: true, icon: 'pass' },
+		{ title: 'Mark bad', description: 'Mark the checked out commit as bad', args: 'bisect bad', immediate: true, icon: 'error' },
+		{ title: 'Skip commit', description: 'The checked out commit cannot be tested', args: 'bisect skip', immediate: true, icon: 'debug-step-over' },
+		{ title: 'Abort bisect', description: 'End the bisect and go back to where it started', args: 'bisect reset', icon: 'debug-stop' },
+	],
+}
+export let repo_operation_actions = computed(() =>
+	parse_config_actions(repo_operation.value ? operation_actions[repo_operation.value] : []))
 
 /** @type {Ref<any>} */
 export let config = ref({})
@@ -172,6 +617,12 @@ export let stash_actions = (/** @type string */ stash_name) => computed(() => {
 		['{STASH_NAME}', stash_name],
 		['{DEFAULT_REMOTE_NAME}', default_origin.value || 'MISSING_REMOTE_NAME']])
 })
+export let file_actions = (/** @type {'staged' | 'unstaged' | 'untracked'} */ kind, /** @type string */ file_path) => computed(() => {
+	let config_file_actions = default_git_actions[`actions.${kind}-file`].concat(config.value.actions?.[`${kind}-file`] || [])
+	return parse_config_actions(config_file_actions, [
+		['{FILE_PATH}', file_path],
+		['{DEFAULT_REMOTE_NAME}', default_origin.value || 'MISSING_REMOTE_NAME']])
+})
 export let combine_branches_actions = computed(() => {
 	let config_combine_branches_actions = default_git_actions['actions.branch-drop'].concat(config.value.actions?.['branch-drop'] || [])
 	return parse_config_actions(config_combine_branches_actions, [
@@ -182,6 +633,16 @@ export let combine_branches_actions = computed(() => {
 
 export let combine_branches_to_branch_name = ref('')
 export let combine_branches_from_branch_name = ref('')
+/**
+ * The two refs that BranchComparison shows, if open
+ * @type {Ref<{ left: string, right: string } | null>}
+ */
+export let branch_comparison = ref(null)
+/**
+ * The old and new range that RangeDiff compares, if open
+ * @type {Ref<[string, string] | null>}
+ */
+export let range_diff_ranges = ref(null)
 export let combine_branches = (/** @type string */ from_branch_name, /** @type string */ to_branch_name) => {
 	if (from_branch_name === to_branch_name)
 		return
@@ -191,8 +652,8 @@ export let combine_branches = (/** @type string */ from_branch_name, /** @type s
 
 export let show_branch = (/** @type Branch */ branch_tip) =>
 	refresh_main_view({
-		before_execute: (cmd) =>
-			`${cmd} ${branch_tip.id}`.replaceAll(' --all ', ' ').replaceAll(' {STASH_REFS} ', ' '),
+		before_execute: (args) =>
+			[...args.filter((arg) => arg !== '--all' && arg !== '{STASH_REFS}'), branch_tip.id],
 	})
 
 export let vis_v_width = computed(() =>
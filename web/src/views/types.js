@@ -24,11 +24,12 @@ import colors from './colors.js'
  *	ycs?: number
  *	xce?: number
  *	yce?: number
+ *	dashed?: boolean
  * }} VisLine
- * Vis chars are transformed by us into vis lines (as in: a svg line) that have an
+ * The parent hashes of all commits are transformed by us into vis lines (as in: a svg line) that have an
  * `x0` and an `x1` "coordinate" (from / to). These coordinates will have to be mapped
  * to the actual svg grid as there is no spacing here yet.
- * Every commit will have at least one vis line.
+ * Every commit will have at least one vis line. *dashed* ones connect the working tree row to HEAD.
  * For what `x0`, `ycs` and so on stand for, please refer to the documentation at
  * https://developer.mozilla.org/en-US/docs/Web/SVG/Attribute/d#cubic_b%C3%A9zier_curve
  *
@@ -38,6 +39,7 @@ import colors from './colors.js'
  *	branch?: Branch
  *	hash: string
  *	hash_long: string
+ *	parent_hashes: string[]
  *	author_name: string
  *	author_email: string
  *	datetime?: string
@@ -70,7 +72,9 @@ import colors from './colors.js'
  *
  * @typedef {ConfigGitAction & {
  *	config_key: string
+ *	placeholders?: [string, string][]
  * }} GitAction
+ * *placeholders* such as `{BRANCH_NAME}` can be used in *args* just like `$1` params.
  *
  * @typedef {{
  *	type: 'txt_filter' | 'branch_id' | 'commit_hash' | 'git'
@@ -79,6 +83,9 @@ import colors from './colors.js'
  * }} HistoryEntry
  */
 
+/** The hash of the virtual row of uncommitted changes at the top of the log, see `working_tree_commit` in MainView */
+export let working_tree_hash = '*'
+
 /**
  * To use in place of `.filter(Boolean)` for type safety with strict null checks.
  * @template T
@@ -30,6 +30,23 @@ const options = {
 			.clear()
 			.add('./src/vue-app.js')
 
+		// Runs as Web Worker, so it needs to be self-contained: It can't load any other chunks
+		// such as chunk-vendors.js, and it isn't part of the html either.
+		config
+			.entry('log-worker')
+			.add('./src/views/log-worker.js')
+		config.optimization.splitChunks({
+			cacheGroups: {
+				defaultVendors: {
+					name: 'chunk-vendors',
+					test: /[\\/]node_modules[\\/]/,
+					priority: -10,
+					chunks: (/** @type {{name: string}} */ chunk) => chunk.name === 'app',
+				},
+			},
+		})
+		config.plugin('html').tap(([html_options]) => [{ ...html_options, excludeChunks: ['log-worker'] }])
+
 		config.devtool(false)
 
 		// Make it more readable.